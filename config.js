@@ -28,7 +28,175 @@ currentConfig.corsOrigin = Array.isArray(currentConfig.corsOrigin)
 currentConfig.corsHeaders = {
   "Access-Control-Allow-Origin": currentConfig.corsOrigin,
   "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Headers":
+    "Content-Type, Authorization, X-Session-Id, X-API-Key",
+};
+
+// Paper trading account used by the virtual broker
+currentConfig.virtual = {
+  startingCapital: parseFloat(process.env.VIRTUAL_STARTING_CAPITAL) || 1000000,
+  brokeragePerOrder: parseFloat(process.env.VIRTUAL_BROKERAGE_PER_ORDER) || 20,
+  // Exchange, STT, GST etc. approximated as a fraction of turnover
+  chargesRate: parseFloat(process.env.VIRTUAL_CHARGES_RATE) || 0.0007,
+};
+
+const listFromEnv = (value, fallback) =>
+  value ? value.split(",").map((item) => item.trim().toUpperCase()) : fallback;
+
+// "NIFTY:1800,BANKNIFTY:900" -> { NIFTY: 1800, BANKNIFTY: 900 }
+const limitsFromEnv = (value) =>
+  Object.fromEntries(
+    listFromEnv(value, [])
+      .map((item) => item.split(":"))
+      .filter(([name, limit]) => name && parseInt(limit) > 0)
+      .map(([name, limit]) => [name.trim(), parseInt(limit)])
+  );
+
+// Pre-trade risk checks applied before any order reaches a broker.
+// Numeric limits of 0 disable that check.
+currentConfig.risk = {
+  enabled: process.env.RISK_CHECKS_ENABLED !== "false",
+  allowedProducts: listFromEnv(process.env.RISK_ALLOWED_PRODUCTS, ["M", "I", "C"]),
+  allowedExchanges: listFromEnv(process.env.RISK_ALLOWED_EXCHANGES, [
+    "NFO",
+    "BFO",
+    "NSE",
+    "BSE",
+    "MCX",
+    "CDS",
+  ]),
+  maxLotsPerDay: parseInt(process.env.RISK_MAX_LOTS_PER_DAY) || 0,
+  maxOpenPositions: parseInt(process.env.RISK_MAX_OPEN_POSITIONS) || 0,
+  maxDailyLoss: parseFloat(process.env.RISK_MAX_DAILY_LOSS) || 0,
+  // Reject limit prices further than this from the LTP
+  priceBandPercent: parseFloat(process.env.RISK_PRICE_BAND_PERCENT) || 20,
+  // Per-order quantity cap by underlying (RISK_MAX_QTY_PER_ORDER, e.g.
+  // "NIFTY:1800,BANKNIFTY:900"); falls back to the freeze quantity times
+  // maxSlicesPerOrder, since larger orders are sliced into child orders
+  maxQtyPerOrder: limitsFromEnv(process.env.RISK_MAX_QTY_PER_ORDER),
+  maxSlicesPerOrder: parseInt(process.env.RISK_MAX_SLICES_PER_ORDER) || 10,
+  // Gap between child orders of a sliced order, to stay under broker rate limits
+  sliceIntervalMs: parseInt(process.env.SLICE_INTERVAL_MS) || 150,
+  // Largest quantity the exchange accepts in one order
+  freezeQty: {
+    NIFTY: 1800,
+    BANKNIFTY: 900,
+    FINNIFTY: 1800,
+    MIDCPNIFTY: 2800,
+    NIFTYNXT50: 600,
+    SENSEX: 1000,
+    BANKEX: 900,
+    SENSEX50: 1800,
+  },
+  lotSize: {
+    NIFTY: 75,
+    BANKNIFTY: 35,
+    FINNIFTY: 65,
+    MIDCPNIFTY: 140,
+    NIFTYNXT50: 25,
+    SENSEX: 20,
+    BANKEX: 30,
+    SENSEX50: 60,
+  },
+};
+
+// Per-user sessions holding broker tokens server-side
+currentConfig.sessions = {
+  // Idle time before a session is dropped
+  sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS) || 24,
+  // Broker tokens are only valid for the trading day
+  brokerTokenTtlHours: parseFloat(process.env.BROKER_TOKEN_TTL_HOURS) || 12,
+  // Encrypts broker tokens saved in data/sessions.json
+  tokenEncryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
+};
+
+// Authentication for this API. API_KEYS is a comma separated list of
+// name:key:role entries, role being read, trade or admin.
+currentConfig.auth = {
+  enabled: process.env.AUTH_ENABLED !== "false",
+  apiKeys: (process.env.API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim().split(":"))
+    .filter(([name, key]) => name && key)
+    .map(([name, key, role = "read"]) => ({ name, key, role })),
+  adminUsername: process.env.ADMIN_USERNAME || "admin",
+  adminPassword: process.env.ADMIN_PASSWORD,
+};
+
+// Scrip master files per broker and segment. FLATTRADE_SEGMENTS and
+// SHOONYA_SEGMENTS (comma separated names) pick which ones are downloaded
+// and indexed; all of them by default.
+currentConfig.scripMasters = {
+  flattrade: {
+    baseUrl: "https://flattrade.s3.ap-south-1.amazonaws.com/scripmaster/",
+    segments: {
+      NFO_INDEX: { exchange: "NFO", file: "Nfo_Index_Derivatives.csv" },
+      BFO_INDEX: { exchange: "BFO", file: "Bfo_Index_Derivatives.csv" },
+      NFO_STOCK: { exchange: "NFO", file: "Nfo_Equity_Derivatives.csv" },
+      BFO_STOCK: { exchange: "BFO", file: "Bfo_Equity_Derivatives.csv" },
+      NSE: { exchange: "NSE", file: "NSE_Equity.csv" },
+      BSE: { exchange: "BSE", file: "BSE_Equity.csv" },
+      MCX: { exchange: "MCX", file: "Commodity.csv" },
+      CDS: { exchange: "CDS", file: "Currency_Derivatives.csv" },
+    },
+    enabled: listFromEnv(process.env.FLATTRADE_SEGMENTS, null),
+  },
+  shoonya: {
+    baseUrl: "https://api.shoonya.com/",
+    segments: {
+      NFO: { exchange: "NFO", file: "NFO_symbols.txt.zip" },
+      BFO: { exchange: "BFO", file: "BFO_symbols.txt.zip" },
+      NSE: { exchange: "NSE", file: "NSE_symbols.txt.zip" },
+      BSE: { exchange: "BSE", file: "BSE_symbols.txt.zip" },
+      MCX: { exchange: "MCX", file: "MCX_symbols.txt.zip" },
+      CDS: { exchange: "CDS", file: "CDS_symbols.txt.zip" },
+    },
+    enabled: listFromEnv(process.env.SHOONYA_SEGMENTS, null),
+  },
+};
+
+// Scrip master downloads: daily at dailyAtUtc ("HH:mm", 7am IST by default),
+// retried with exponential backoff, rejected below minRows or when the row
+// count falls by more than maxRowDropPercent from the previous file
+currentConfig.scripDownloads = {
+  dailyAtUtc: process.env.SCRIP_UPDATE_UTC || "01:30",
+  retries: parseInt(process.env.SCRIP_DOWNLOAD_RETRIES) || 3,
+  retryDelayMs: parseInt(process.env.SCRIP_RETRY_DELAY_MS) || 5000,
+  timeoutMs: parseInt(process.env.SCRIP_DOWNLOAD_TIMEOUT_MS) || 120000,
+  minRows: parseInt(process.env.SCRIP_MIN_ROWS) || 1,
+  maxRowDropPercent: parseFloat(process.env.SCRIP_MAX_ROW_DROP_PERCENT) || 50,
+};
+
+// Local option chain: strikes on each side of ATM, default and upper limit.
+// The chain's instruments stay subscribed on the market data hub for watchMs
+// after the last request; a request waits up to quoteWaitMs for new ones.
+currentConfig.optionChain = {
+  strikeCount: parseInt(process.env.OPTION_CHAIN_STRIKES) || 10,
+  maxStrikeCount: parseInt(process.env.OPTION_CHAIN_MAX_STRIKES) || 50,
+  watchMs: parseInt(process.env.OPTION_CHAIN_WATCH_MS) || 10 * 60 * 1000,
+  quoteWaitMs: parseInt(process.env.OPTION_CHAIN_QUOTE_WAIT_MS) || 1000,
+};
+
+// Local greeks: rates as decimals, contracts expire at expiryTimeUtc on their
+// expiry date (15:30 IST). A rate or yield of 0 is a valid setting.
+const rateFromEnv = (value, fallback) =>
+  isNaN(parseFloat(value)) ? fallback : parseFloat(value);
+
+currentConfig.greeks = {
+  riskFreeRate: rateFromEnv(process.env.RISK_FREE_RATE, 0.065),
+  dividendYield: rateFromEnv(process.env.DIVIDEND_YIELD, 0),
+  expiryTimeUtc: process.env.EXPIRY_TIME_UTC || "10:00",
+};
+
+// Market data hub: Noren websocket per broker, plus a mock feed for development
+currentConfig.marketData = {
+  urls: {
+    flattrade: "wss://piconnect.flattrade.in/PiConnectWSTp/",
+    shoonya: "wss://api.shoonya.com/NorenWSTP/",
+  },
+  heartbeatMs: 30 * 1000,
+  reconnectMs: 5 * 1000,
+  mockIntervalMs: parseInt(process.env.MOCK_FEED_INTERVAL_MS) || 1000,
 };
 
 module.exports = currentConfig;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+
+// Every /admin route needs the admin role, see requiredRole in userStore.js
+module.exports = (fileUpdates, brokers) => {
+  // ===> Scrip master file ages, next scheduled update and last download errors
+  router.get("/scrip-status", (req, res) => {
+    try {
+      res.json(fileUpdates.getStatus(brokers));
+    } catch (error) {
+      console.error("Error reading scrip master status:", error);
+      res
+        .status(500)
+        .json({ message: "Error reading scrip master status", error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,204 @@
+const express = require("express");
+const router = express.Router();
+const NodeCache = require("node-cache");
+const { brokerAdapters, getAdapter } = require("./brokerAdapters");
+const { validateModifyOrder } = require("./orderValidation");
+const { basketValidation, placeBasket } = require("./basketOrders");
+const { exitAll } = require("./exitAll");
+const { riskCheck, modifyRiskCheck } = require("./riskChecks");
+const { placeSlicedOrder } = require("./orderSlicer");
+const { brokerSession } = require("./brokerSession");
+const instrumentChanges = require("./instrumentChanges");
+
+const symbolCache = new NodeCache({ stdTTL: 4 * 60 * 60 });
+
+// Cached per adapter and the virtual broker reads the Flattrade master, so
+// any scrip master update clears them all
+instrumentChanges.events.on("changed", () => symbolCache.flushAll());
+
+module.exports = (sessionStore) => {
+  // Token and client id from the caller's session; without one, the token
+  // from "Authorization: Bearer <jKey>" and the client id from ?clientId= or
+  // the order's uid. Tokens are never read from the query string.
+  function resolveAuth(req, broker) {
+    const stored = sessionStore.getBrokerCredentials(req.userSession, broker);
+    if (stored) return { jKey: stored.usersession, clientId: stored.userid };
+    return {
+      jKey: req.headers.authorization?.split(" ")[1],
+      clientId: req.query.clientId || req.body?.uid,
+    };
+  }
+
+  // Wraps an adapter call with the auth check and error handling every route shares
+  function brokerRoute(action, handler, { requiresAuth = true } = {}) {
+    return async (req, res) => {
+      const { adapter } = req;
+      const auth = resolveAuth(req, adapter.name);
+
+      if (requiresAuth && adapter.name !== "virtual" && (!auth.jKey || !auth.clientId)) {
+        return res
+          .status(400)
+          .json({ message: "Token or Client ID is missing." });
+      }
+
+      try {
+        res.json(await handler(adapter, auth, req));
+      } catch (error) {
+        res.status(500).json({
+          message: `Error ${action} for ${adapter.name}`,
+          error: error.message,
+        });
+        console.error(`Error ${action} for ${adapter.name}:`, error);
+      }
+    };
+  }
+
+  const orderRiskCheck = riskCheck(
+    (req) => req.adapter,
+    (req) => resolveAuth(req, req.adapter.name)
+  );
+
+  // ===> List available brokers
+  router.get("/brokers", (req, res) => {
+    res.json(Object.keys(brokerAdapters));
+  });
+
+  router.param("broker", (req, res, next, broker) => {
+    req.adapter = getAdapter(broker);
+    if (!req.adapter) {
+      return res.status(404).json({ message: `Unknown broker: ${broker}` });
+    }
+    if (req.adapter.name === "virtual") return next();
+    // Flags expired broker sessions in replies, like the legacy routers
+    brokerSession(req.adapter.name)(req, res, next);
+  });
+
+  // ===> NON-TRADING API CALLS  <===
+
+  router.get(
+    "/:broker/funds",
+    brokerRoute("fetching funds", (adapter, auth) => adapter.getFunds(auth))
+  );
+
+  router.get(
+    "/:broker/orders",
+    brokerRoute("fetching orders", (adapter, auth) =>
+      adapter.getOrderBook(auth)
+    )
+  );
+
+  router.get(
+    "/:broker/trades",
+    brokerRoute("fetching trades", (adapter, auth) =>
+      adapter.getTradeBook(auth)
+    )
+  );
+
+  router.get(
+    "/:broker/positions",
+    brokerRoute("fetching positions", (adapter, auth) =>
+      adapter.getPositions(auth)
+    )
+  );
+
+  router.get(
+    "/:broker/holdings",
+    brokerRoute("fetching holdings", (adapter, auth) =>
+      adapter.getHoldings(auth)
+    )
+  );
+
+  router.get(
+    "/:broker/symbols",
+    brokerRoute(
+      "loading symbols",
+      async (adapter, auth, req) => {
+        const { exchangeSymbol, masterSymbol } = req.query;
+        const cacheKey = `${adapter.name}_${exchangeSymbol}_${masterSymbol}`;
+
+        const cachedData = symbolCache.get(cacheKey);
+        if (cachedData) return cachedData;
+
+        const result = await adapter.getSymbols(exchangeSymbol, masterSymbol);
+        symbolCache.set(cacheKey, result);
+        return result;
+      },
+      { requiresAuth: false }
+    )
+  );
+
+  router.post(
+    "/:broker/greeks",
+    brokerRoute("fetching option greeks", (adapter, auth, req) =>
+      adapter.getOptionGreek(auth, req.body)
+    )
+  );
+
+  // ===> TRADING API CALLS <===
+
+  router.post(
+    "/:broker/placeOrder",
+    orderRiskCheck,
+    brokerRoute("placing order", async (adapter, auth, req) => {
+      const result = await placeSlicedOrder(adapter, auth, req.body);
+      console.log(`\n${adapter.name} Order Place details:`, req.body, result);
+      return result;
+    })
+  );
+
+  router.post(
+    "/:broker/modifyOrder",
+    (req, res, next) => {
+      const validationError = validateModifyOrder(req.body);
+      if (validationError) {
+        return res.status(400).json({ message: validationError });
+      }
+      next();
+    },
+    modifyRiskCheck(),
+    brokerRoute("modifying order", async (adapter, auth, req) => {
+      const result = await adapter.modifyOrder(auth, req.body);
+      console.log(`\n${adapter.name} Modify Order details:`, req.body, result);
+      return result;
+    })
+  );
+
+  router.post(
+    "/:broker/basketOrder",
+    basketValidation,
+    orderRiskCheck,
+    brokerRoute("placing basket order", async (adapter, auth, req) => {
+      const { legs, rollback } = req.body;
+      const result = await placeBasket(adapter, auth, legs, {
+        rollback: rollback === true || rollback === "true",
+      });
+      console.log(`\n${adapter.name} Basket Order details:`, JSON.stringify(result));
+      return result;
+    })
+  );
+
+  router.post(
+    "/:broker/exitAll",
+    brokerRoute("exiting all positions", async (adapter, auth, req) => {
+      const { underlying, expiry } = req.body;
+      const result = await exitAll(adapter, auth, { underlying, expiry });
+      console.log(`\n${adapter.name} Exit All:`, JSON.stringify(result));
+      return result;
+    })
+  );
+
+  router.post(
+    "/:broker/cancelOrder",
+    brokerRoute("cancelling order", async (adapter, auth, req) => {
+      const result = await adapter.cancelOrder(auth, req.body);
+      console.log(
+        `\n${adapter.name} Cancel Order:`,
+        { norenordno: req.body.norenordno },
+        result
+      );
+      return result;
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+
+module.exports = (userStore, sessionStore) => {
+  // ===> Log in a user; their session id then authenticates later requests
+  router.post("/login", (req, res) => {
+    const { username, password } = req.body;
+    const user = userStore.checkLogin(username, password);
+    if (!user) {
+      console.log(`\nFailed login for ${username}`);
+      return res.status(401).json({ message: "Invalid username or password." });
+    }
+
+    // Keep broker tokens already on the session, unless it was another user's
+    const current = req.userSession;
+    const session =
+      current && (!current.user || current.user === user.username)
+        ? current
+        : sessionStore.createSession();
+    sessionStore.setUser(session, user.username);
+    res.json({ status: "success", sessionId: session.id, user });
+    console.log(`\nUser ${user.username} logged in`);
+  });
+
+  // ===> Log out and drop the session with its broker tokens
+  router.post("/logout", sessionStore.requireSession, (req, res) => {
+    sessionStore.deleteSession(req.userSession.id);
+    res.json({ status: "success", result: "logged out" });
+  });
+
+  // ===> Who the caller is authenticated as
+  router.get("/me", (req, res) => {
+    res.json(req.auth);
+  });
+
+  // ===> Manage Users (admin only)
+  router.get("/users", (req, res) => {
+    res.json(userStore.listUsers());
+  });
+
+  router.post("/users", (req, res) => {
+    try {
+      const user = userStore.createUser(req.body);
+      res.json({ status: "success", user });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error creating user",
+        error: error.message,
+      });
+    }
+  });
+
+  router.delete("/users/:username", (req, res) => {
+    if (!userStore.removeUser(req.params.username)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json({ status: "success", result: "removed" });
+    console.log(`\nUser ${req.params.username} removed`);
+  });
+
+  return router;
+};
@@ -0,0 +1,165 @@
+const { placeSlicedOrder } = require("./orderSlicer");
+
+// ===> Multi-leg (basket) order placement on top of any broker adapter
+
+const WORKING_STATUSES = ["OPEN", "PENDING", "TRIGGER_PENDING"];
+
+function bookToArray(orderBook) {
+  return Array.isArray(orderBook) ? orderBook : [];
+}
+
+function findOrder(orderBook, norenordno) {
+  return bookToArray(orderBook).find(
+    (order) => order.norenordno?.toString() === norenordno?.toString()
+  );
+}
+
+// Hedge (buy) legs go first so the sell legs get margin benefit and we are never naked
+function sortLegs(legs) {
+  const rank = (leg) => (leg.trantype === "B" ? 0 : 1);
+  return legs
+    .map((leg, index) => ({ leg, index }))
+    .sort((a, b) => rank(a.leg) - rank(b.leg));
+}
+
+// Order numbers of a placed leg: one, or one per child of a sliced leg
+function legOrders(result) {
+  const children = result.response?.children;
+  if (!children) return [result];
+  return children
+    .filter((child) => child.status === "placed")
+    .map((child) => ({
+      leg: result.leg,
+      norenordno: child.norenordno,
+      request: { ...result.request, qty: child.qty.toString() },
+    }));
+}
+
+// Cancel whatever is still working and exit whatever already filled
+async function rollbackLegs(adapter, auth, placedLegs) {
+  const orderBook = await adapter.getOrderBook(auth);
+  const actions = [];
+
+  for (const result of placedLegs.flatMap(legOrders)) {
+    const order = findOrder(orderBook, result.norenordno);
+    const status = order?.status?.toUpperCase();
+    const filledQty = parseInt(order?.fillshares) || 0;
+    const rollback = { leg: result.leg, norenordno: result.norenordno };
+
+    try {
+      if (WORKING_STATUSES.includes(status)) {
+        rollback.cancel = await adapter.cancelOrder(auth, {
+          norenordno: result.norenordno,
+        });
+      }
+      if (filledQty > 0) {
+        const leg = result.request;
+        rollback.exit = await placeSlicedOrder(adapter, auth, {
+          ...leg,
+          trantype: leg.trantype === "B" ? "S" : "B",
+          prctyp: "MKT",
+          prc: "0",
+          qty: filledQty.toString(),
+        });
+      }
+    } catch (error) {
+      rollback.error = error.message;
+    }
+    actions.push(rollback);
+  }
+
+  return actions;
+}
+
+function validateBasket(legs) {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return "legs must be a non-empty array of orders";
+  }
+  const invalidLeg = legs.findIndex(
+    (leg) =>
+      !leg.tsym ||
+      !(parseInt(leg.qty) > 0) ||
+      !["B", "S"].includes(leg.trantype)
+  );
+  if (invalidLeg !== -1) {
+    return `Leg ${invalidLeg} needs tsym, a positive qty and trantype B or S`;
+  }
+  return null;
+}
+
+// ===> Express middleware rejecting malformed baskets before risk checks run
+function basketValidation(req, res, next) {
+  const validationError = validateBasket(req.body.legs);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+  next();
+}
+
+async function placeBasket(adapter, auth, legs, { rollback = false } = {}) {
+  const results = [];
+  let failed = false;
+
+  for (const { leg, index } of sortLegs(legs)) {
+    if (failed) {
+      results.push({ leg: index, status: "skipped" });
+      continue;
+    }
+
+    try {
+      // Legs above the freeze quantity go out as several child orders
+      const response = await placeSlicedOrder(adapter, auth, leg);
+      const accepted = response?.stat === "Ok";
+      results.push({
+        leg: index,
+        status: accepted ? "placed" : "rejected",
+        norenordno: response?.norenordno,
+        request: leg,
+        response,
+      });
+      failed = !accepted;
+    } catch (error) {
+      results.push({
+        leg: index,
+        status: "error",
+        request: leg,
+        error: error.message,
+      });
+      failed = true;
+    }
+  }
+
+  // Brokers accept an order and reject it later in RMS, so confirm against the order book
+  if (!failed && results.length > 0) {
+    const orderBook = await adapter.getOrderBook(auth);
+    for (const result of results) {
+      const order = legOrders(result)
+        .map((placed) => findOrder(orderBook, placed.norenordno))
+        .find((item) => item?.status?.toUpperCase() === "REJECTED");
+      if (order) {
+        result.status = "rejected";
+        result.rejreason = order.rejreason;
+        failed = true;
+      }
+    }
+  }
+
+  // A sliced leg rejected part way still has its earlier children live
+  const placedLegs = results.filter(
+    (result) =>
+      result.status === "placed" ||
+      result.response?.children?.some((child) => child.status === "placed")
+  );
+  const rollbackActions =
+    failed && rollback && placedLegs.length > 0
+      ? await rollbackLegs(adapter, auth, placedLegs)
+      : [];
+
+  return {
+    stat: failed ? "Not_Ok" : "Ok",
+    legs: results.sort((a, b) => a.leg - b.leg),
+    rolledBack: rollbackActions,
+  };
+}
+
+module.exports = { validateBasket, basketValidation, placeBasket };
@@ -0,0 +1,134 @@
+// ===> Black-Scholes pricing for European options with a continuous dividend
+// yield. Inputs: spot, strike, time to expiry in years, rate and dividend
+// yield as decimals (0.065), volatility as a decimal (0.15).
+// Greeks come in trader units: theta per calendar day, vega and rho per one
+// percentage point of volatility or rate.
+
+const MIN_VOLATILITY = 0.0001;
+const MAX_VOLATILITY = 5;
+
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+// Abramowitz and Stegun 26.2.17, absolute error below 7.5e-8
+function normCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly =
+    t *
+    (0.31938153 +
+      t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const tail = normPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+function isCall(optionType) {
+  const type = optionType?.toUpperCase();
+  if (type !== "CE" && type !== "PE") {
+    throw new Error(`optionType must be CE or PE, got ${optionType}`);
+  }
+  return type === "CE";
+}
+
+function intrinsic(call, spot, strike) {
+  return Math.max(call ? spot - strike : strike - spot, 0);
+}
+
+function d1d2({ spot, strike, time, rate, dividendYield, volatility }) {
+  const sqrtTime = Math.sqrt(time);
+  const d1 =
+    (Math.log(spot / strike) +
+      (rate - dividendYield + (volatility * volatility) / 2) * time) /
+    (volatility * sqrtTime);
+  return { d1, d2: d1 - volatility * sqrtTime };
+}
+
+// ===> Theoretical premium
+function price({ optionType, spot, strike, time, rate = 0, dividendYield = 0, volatility }) {
+  const call = isCall(optionType);
+  if (time <= 0 || volatility <= 0) return intrinsic(call, spot, strike);
+
+  const { d1, d2 } = d1d2({ spot, strike, time, rate, dividendYield, volatility });
+  const spotTerm = spot * Math.exp(-dividendYield * time);
+  const strikeTerm = strike * Math.exp(-rate * time);
+  return call
+    ? spotTerm * normCdf(d1) - strikeTerm * normCdf(d2)
+    : strikeTerm * normCdf(-d2) - spotTerm * normCdf(-d1);
+}
+
+// ===> Premium and greeks; at or past expiry only the intrinsic value is left
+function greeks({ optionType, spot, strike, time, rate = 0, dividendYield = 0, volatility }) {
+  const call = isCall(optionType);
+  if (time <= 0 || volatility <= 0) {
+    const inTheMoney = intrinsic(call, spot, strike) > 0;
+    return {
+      price: intrinsic(call, spot, strike),
+      delta: inTheMoney ? (call ? 1 : -1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0,
+    };
+  }
+
+  const { d1, d2 } = d1d2({ spot, strike, time, rate, dividendYield, volatility });
+  const sqrtTime = Math.sqrt(time);
+  const dividendDiscount = Math.exp(-dividendYield * time);
+  const rateDiscount = Math.exp(-rate * time);
+  const sign = call ? 1 : -1;
+
+  const decay = (-spot * dividendDiscount * normPdf(d1) * volatility) / (2 * sqrtTime);
+  const yearlyTheta =
+    decay -
+    sign * rate * strike * rateDiscount * normCdf(sign * d2) +
+    sign * dividendYield * spot * dividendDiscount * normCdf(sign * d1);
+
+  return {
+    price: price({ optionType, spot, strike, time, rate, dividendYield, volatility }),
+    delta: call ? dividendDiscount * normCdf(d1) : dividendDiscount * (normCdf(d1) - 1),
+    gamma: (dividendDiscount * normPdf(d1)) / (spot * volatility * sqrtTime),
+    theta: yearlyTheta / 365,
+    vega: (spot * dividendDiscount * normPdf(d1) * sqrtTime) / 100,
+    rho: (sign * strike * time * rateDiscount * normCdf(sign * d2)) / 100,
+  };
+}
+
+// ===> Volatility that reproduces a market premium: Newton steps from 30%,
+// bisection when they leave the bracket. Null when no volatility can (the
+// premium is below intrinsic value or above the no-arbitrage bound).
+function impliedVolatility({ optionType, premium, spot, strike, time, rate = 0, dividendYield = 0 }) {
+  const call = isCall(optionType);
+  if (!(premium > 0) || time <= 0) return null;
+
+  const inputs = { optionType, spot, strike, time, rate, dividendYield };
+  const lowerBound = Math.max(
+    call
+      ? spot * Math.exp(-dividendYield * time) - strike * Math.exp(-rate * time)
+      : strike * Math.exp(-rate * time) - spot * Math.exp(-dividendYield * time),
+    0
+  );
+  const upperBound = call
+    ? spot * Math.exp(-dividendYield * time)
+    : strike * Math.exp(-rate * time);
+  if (premium < lowerBound || premium >= upperBound) return null;
+
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  let volatility = 0.3;
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const difference = price({ ...inputs, volatility }) - premium;
+    if (Math.abs(difference) < 1e-6) return volatility;
+
+    // Price rises with volatility, so the sign says which half to keep
+    if (difference > 0) high = volatility;
+    else low = volatility;
+
+    const vega = greeks({ ...inputs, volatility }).vega * 100;
+    const next = volatility - difference / vega;
+    volatility = vega > 1e-8 && next > low && next < high ? next : (low + high) / 2;
+    if (high - low < 1e-9) return volatility;
+  }
+  return volatility;
+}
+
+module.exports = { normCdf, price, greeks, impliedVolatility };
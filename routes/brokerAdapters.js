@@ -0,0 +1,27 @@
+const norenAdapter = require("./norenAdapter");
+const virtualAdapter = require("./virtualAdapter");
+const {
+  loadFlattradeSymbols,
+  loadShoonyaSymbols,
+} = require("./symbolLoaders");
+
+// ===> Registry of broker adapters. A new Noren based broker only needs an entry here.
+const brokerAdapters = {
+  flattrade: norenAdapter({
+    name: "flattrade",
+    baseUrl: "https://piconnect.flattrade.in/PiConnectTP",
+    loadSymbols: loadFlattradeSymbols,
+  }),
+  shoonya: norenAdapter({
+    name: "shoonya",
+    baseUrl: "https://api.shoonya.com/NorenWClientTP",
+    loadSymbols: loadShoonyaSymbols,
+  }),
+  virtual: virtualAdapter,
+};
+
+function getAdapter(broker) {
+  return brokerAdapters[broker?.toLowerCase()];
+}
+
+module.exports = { brokerAdapters, getAdapter };
@@ -0,0 +1,58 @@
+const sessionStore = require("./sessionStore");
+
+// ===> Broker tokens resolved server-side for the legacy broker routers.
+// Routes read the token from the Authorization header only; the caller's
+// session token takes its place whenever there is one, so tokens never have
+// to travel in a request, and query string tokens are not accepted at all.
+// The client id is filled in from the session where the request leaves it
+// out (?<BROKER>_CLIENT_ID, the order's uid). Replies
+// that say "Session Expired" flag the token for a re-login and tell the client
+// with needsRelogin in the body and an X-Broker-Relogin header.
+
+const SESSION_EXPIRED = /session expired/i;
+
+// Noren replies are either the Not_Ok object itself or a wrapper of several
+function isSessionExpired(payload) {
+  if (!payload || typeof payload !== "object") return false;
+  return [payload, ...Object.values(payload)].some(
+    (item) => typeof item?.emsg === "string" && SESSION_EXPIRED.test(item.emsg)
+  );
+}
+
+function injectCredentials(req, broker, credentials) {
+  const prefix = broker.toUpperCase();
+  req.query[`${prefix}_CLIENT_ID`] ??= credentials.userid;
+  req.headers.authorization = `Bearer ${credentials.usersession}`;
+
+  if (req.method === "POST" && req.body && typeof req.body === "object") {
+    req.body.uid ??= credentials.userid;
+    if (Array.isArray(req.body.legs)) {
+      req.body.legs.forEach((leg) => (leg.uid ??= credentials.userid));
+    }
+  }
+}
+
+function brokerSession(broker) {
+  return (req, res, next) => {
+    const credentials = sessionStore.getBrokerCredentials(
+      req.userSession,
+      broker
+    );
+    if (credentials) injectCredentials(req, broker, credentials);
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      if (!isSessionExpired(payload)) return json(payload);
+
+      const token = req.headers.authorization?.split(" ")[1];
+      if (token) sessionStore.markTokenExpired(broker, token);
+      res.set("X-Broker-Relogin", broker);
+      return json(
+        Array.isArray(payload) ? payload : { ...payload, needsRelogin: true }
+      );
+    };
+    next();
+  };
+}
+
+module.exports = { brokerSession, isSessionExpired };
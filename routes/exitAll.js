@@ -0,0 +1,106 @@
+const { parse, format, isValid } = require("date-fns");
+const { placeSlicedOrder } = require("./orderSlicer");
+const { getUnderlying } = require("./symbolNames");
+
+// ===> Kill switch: cancel working orders and square off open positions through any broker adapter
+
+const WORKING_STATUSES = ["OPEN", "PENDING", "TRIGGER_PENDING"];
+
+// Derivative symbols carry the expiry as DDMMMYY, e.g. NIFTY28NOV24C24000
+function toExpiryCode(expiry) {
+  const date = parse(expiry, "dd-MMM-yyyy", new Date());
+  return isValid(date)
+    ? format(date, "ddMMMyy").toUpperCase()
+    : expiry.toUpperCase();
+}
+
+// Underlyings compare whole, so NIFTY does not also match NIFTYNXT50 or BANKNIFTY
+function buildFilter({ underlying, expiry } = {}) {
+  const wanted = underlying?.toUpperCase();
+  const expiryCode = expiry ? toExpiryCode(expiry) : null;
+
+  return (tsym = "") =>
+    (!wanted || getUnderlying(tsym) === wanted) &&
+    (!expiryCode || tsym.toUpperCase().includes(expiryCode));
+}
+
+async function cancelWorkingOrders(adapter, auth, matches) {
+  const orderBook = await adapter.getOrderBook(auth);
+  const workingOrders = (Array.isArray(orderBook) ? orderBook : []).filter(
+    (order) =>
+      WORKING_STATUSES.includes(order.status?.toUpperCase()) &&
+      matches(order.tsym)
+  );
+
+  const report = [];
+  for (const order of workingOrders) {
+    const entry = {
+      action: "cancel",
+      symbol: order.tsym,
+      norenordno: order.norenordno,
+    };
+    try {
+      entry.response = await adapter.cancelOrder(auth, {
+        norenordno: order.norenordno,
+      });
+      entry.status = entry.response?.stat === "Ok" ? "done" : "failed";
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error.message;
+    }
+    report.push(entry);
+  }
+  return report;
+}
+
+async function squareOffPositions(adapter, auth, matches) {
+  const positions = await adapter.getPositions(auth);
+  if (!Array.isArray(positions)) {
+    throw new Error(positions?.emsg || "Could not fetch positions");
+  }
+
+  // Buy back shorts before selling longs so hedges are the last thing to go
+  const openPositions = positions
+    .filter((position) => position.netQty !== 0 && matches(position.symbol))
+    .sort((a, b) => a.netQty - b.netQty);
+
+  const report = [];
+  for (const position of openPositions) {
+    const order = {
+      exch: position.exchange,
+      tsym: position.symbol,
+      qty: Math.abs(position.netQty).toString(),
+      prc: "0",
+      prd: position.product,
+      trantype: position.netQty > 0 ? "S" : "B",
+      prctyp: "MKT",
+      ret: "DAY",
+    };
+    const entry = { action: "exit", symbol: position.symbol, order };
+    try {
+      // Positions above the freeze quantity exit as several child orders
+      entry.response = await placeSlicedOrder(adapter, auth, order);
+      entry.norenordno = entry.response?.norenordno;
+      entry.status = entry.response?.stat === "Ok" ? "done" : "failed";
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error.message;
+    }
+    report.push(entry);
+  }
+  return report;
+}
+
+async function exitAll(adapter, auth, filter) {
+  const matches = buildFilter(filter);
+  const cancelled = await cancelWorkingOrders(adapter, auth, matches);
+  const exited = await squareOffPositions(adapter, auth, matches);
+  const report = [...cancelled, ...exited];
+
+  return {
+    stat: report.every((entry) => entry.status === "done") ? "Ok" : "Not_Ok",
+    report,
+  };
+}
+
+module.exports = { exitAll, buildFilter };
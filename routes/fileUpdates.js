@@ -1,7 +1,22 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
-const { formatISO, fromUnixTime, isBefore } = require('date-fns');
+const EventEmitter = require('events');
+const { isBefore, subDays } = require('date-fns');
+const config = require('../config');
+const { COLUMNS, segmentsFor, readCsvRows, readZipRows } = require('./instrumentIndex');
+
+// ===> Scrip master downloads.
+// Each file is downloaded to a temp file next to it, validated (the full
+// Content-Length arrived, expected headers, minimum row count, no large drop
+// in rows from the previous file, a readable zip) and only then renamed over
+// the old one, so a failed or truncated download never replaces the last good
+// file. A file has at most one download in flight; a second request for it
+// (a manual run during the scheduled one) waits for that download. Failed
+// downloads are retried with exponential backoff, and the whole set is
+// refreshed once a day by an in-process scheduler. An "updated" event
+// on fileUpdates.events ({ broker, updated, failed }) follows every run that
+// replaced at least one of a broker's files.
 
 const symbolsFolder = path.join(path.resolve(__dirname, '../'), 'symbols'); // Ensure 'symbols' folder exists
 
@@ -10,110 +25,247 @@ if (!fs.existsSync(symbolsFolder)) {
     fs.mkdirSync(symbolsFolder);
 }
 
-// URLs for the files (you can update these dynamically)
-const brokerUrls = {
-    flattrade: [
-        'https://flattrade.s3.ap-south-1.amazonaws.com/scripmaster/Nfo_Index_Derivatives.csv',
-        'https://flattrade.s3.ap-south-1.amazonaws.com/scripmaster/Bfo_Index_Derivatives.csv',
-    ],
-    shoonya: [
-        'https://api.shoonya.com/NFO_symbols.txt.zip',
-        'https://api.shoonya.com/BFO_symbols.txt.zip'
-    ]
-};
-
-// Function to check if file is outdated (older than 7 am)
+const events = new EventEmitter();
+
+// Last download attempt per file, for /admin/scrip-status
+const fileStatus = new Map();
+// Downloads in flight per file, so two runs never share a temp file
+const downloadsInProgress = new Map();
+let nextRunAt = null;
+let schedulerTimer = null;
+
+// The most recent daily update time (dailyAtUtc) at or before now
+function lastUpdateTime(now = new Date()) {
+    const [hours, minutes] = config.scripDownloads.dailyAtUtc.split(':').map(Number);
+    const updateTime = new Date(now);
+    updateTime.setUTCHours(hours, minutes || 0, 0, 0);
+    return isBefore(now, updateTime) ? subDays(updateTime, 1) : updateTime;
+}
+
+function nextUpdateTime(now = new Date()) {
+    const next = lastUpdateTime(now);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next;
+}
+
+// Function to check if file is outdated (older than the latest daily update time)
 function isFileOutdated(filePath) {
     if (!fs.existsSync(filePath)) return true;
 
     const stats = fs.statSync(filePath);
-    const lastModifiedTime = formatISO(new Date(stats.mtime));
-    const sevenAMToday = fromUnixTime((new Date().setUTCHours(1, 30)) / 1000);
-    return isBefore(lastModifiedTime, sevenAMToday);
+    return isBefore(stats.mtime, lastUpdateTime());
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Throws unless the file parses, has the broker's key columns and enough rows
+// (at least minRows, and no more than maxRowDropPercent fewer than before)
+async function validateFile(broker, filePath, fileName, previousRows = null) {
+    const columns = COLUMNS[broker];
+    const required = [columns.exchange, columns.token, columns.tradingSymbol];
+    let rows = 0;
+    let missing = null;
+
+    const onRow = (row) => {
+        if (rows === 0) missing = required.filter((column) => !(column in row));
+        rows++;
+    };
+    // Zip integrity: unzipper rejects a truncated or corrupt archive
+    await (fileName.endsWith('.zip')
+        ? readZipRows(filePath, onRow)
+        : readCsvRows(filePath, onRow));
+
+    if (missing?.length > 0) {
+        throw new Error(`Missing columns: ${missing.join(', ')}`);
+    }
+    if (rows < config.scripDownloads.minRows) {
+        throw new Error(`Only ${rows} rows, expected at least ${config.scripDownloads.minRows}`);
+    }
+    const { maxRowDropPercent } = config.scripDownloads;
+    if (previousRows && rows < previousRows * (1 - maxRowDropPercent / 100)) {
+        throw new Error(
+            `Only ${rows} rows against ${previousRows} in the previous file, more than a ${maxRowDropPercent}% drop`
+        );
+    }
+    return rows;
 }
 
-// Function to download a file and check headers from GET request (instead of HEAD)
-async function downloadFile(url, customName = null) {
+// Row count of the file on disk, or null when there is none or it's unreadable
+async function previousRowCount(broker, filePath, fileName) {
+    if (!fs.existsSync(filePath)) return null;
     try {
-        // Make the GET request to fetch the file and headers
-        const response = await axios.get(url, { responseType: 'stream' });
-
-        // Extract filename from URL (or use custom name if provided)
-        let fileName = customName || path.basename(url);
-
-        // Check if Content-Disposition header exists for the filename
-        if (!customName && response.headers['content-disposition']) {
-            const contentDisposition = response.headers['content-disposition'];
-            const matches = contentDisposition.match(/filename="(.+)"/);
-            if (matches && matches[1]) {
-                fileName = matches[1];
-            }
-        }
+        return await validateFile(broker, filePath, fileName);
+    } catch (error) {
+        return null;
+    }
+}
 
-        const filePath = path.join(symbolsFolder, fileName);
-        
-        // Check if file is outdated, skip download if it's not.
-        if (!isFileOutdated(filePath)) {
-            console.log(`File ${fileName} is up-to-date, skipping download.`)
-            return filePath
-        } else {
-            console.log(`File ${fileName} is downloading.`)
-        }
-        
-        // Now download the file
-        const writer = fs.createWriteStream(filePath);
-        response.data.pipe(writer);
+// One download into a temp file, renamed over the real file once it validates
+async function downloadOnce(broker, url, filePath, fileName, previousRows) {
+    const tempPath = `${filePath}.download`;
+    try {
+        const response = await axios.get(url, {
+            responseType: 'stream',
+            timeout: config.scripDownloads.timeoutMs,
+            // Uncompressed, so Content-Length is the size of the file on disk
+            headers: { 'Accept-Encoding': 'identity' },
+        });
 
-        return new Promise((resolve, reject) => {
-            writer.on('finish', () => resolve(filePath));
+        await new Promise((resolve, reject) => {
+            const writer = fs.createWriteStream(tempPath);
+            response.data.on('error', reject);
+            writer.on('finish', resolve);
             writer.on('error', reject);
+            response.data.pipe(writer);
         });
-    } catch (error) {
-        console.error(`Error downloading file from ${url}:`, error);
-        // throw error;
+
+        const expectedBytes = parseInt(response.headers['content-length']);
+        const receivedBytes = fs.statSync(tempPath).size;
+        if (expectedBytes && receivedBytes !== expectedBytes) {
+            throw new Error(`Received ${receivedBytes} of ${expectedBytes} bytes`);
+        }
+
+        const rows = await validateFile(broker, tempPath, fileName, previousRows);
+        fs.renameSync(tempPath, filePath);
+        return rows;
+    } finally {
+        fs.rmSync(tempPath, { force: true });
     }
 }
 
-// Function to handle downloading all files for a broker
-async function downloadBrokerFiles(broker, customNames = []) {
-    const urls = brokerUrls[broker];
+// Function to download a file, retrying with backoff. Resolves with whether
+// the file was replaced; rejects once every attempt failed.
+function downloadFile(broker, segment) {
+    const fileName = segment.file;
+    if (!downloadsInProgress.has(fileName)) {
+        const download = downloadWithRetries(broker, segment).finally(() =>
+            downloadsInProgress.delete(fileName)
+        );
+        downloadsInProgress.set(fileName, download);
+    }
+    return downloadsInProgress.get(fileName);
+}
 
-    if (!urls) {
-        console.log(`No URLs found for broker: ${broker}`);
-        return;
+async function downloadWithRetries(broker, segment) {
+    const fileName = segment.file;
+    const filePath = path.join(symbolsFolder, fileName);
+    const status = fileStatus.get(fileName) || { broker, segment: segment.name, file: fileName };
+    fileStatus.set(fileName, status);
+
+    // Check if file is outdated, skip download if it's not.
+    if (!isFileOutdated(filePath)) {
+        console.log(`File ${fileName} is up-to-date, skipping download.`);
+        return false;
     }
 
-    const downloadPromises = urls.map((url, index) => {
-        const customName = customNames[index] || null;
-        return downloadFile(url, customName);
-    });
+    const { retries, retryDelayMs } = config.scripDownloads;
+    status.lastAttemptAt = new Date().toISOString();
+    const previousRows = status.rows ?? (await previousRowCount(broker, filePath, fileName));
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+            console.log(`File ${fileName} is downloading (attempt ${attempt}/${retries}).`);
+            status.rows = await downloadOnce(broker, segment.url, filePath, fileName, previousRows);
+            status.lastSuccessAt = new Date().toISOString();
+            status.lastError = null;
+            status.usingLastGood = false;
+            console.log(`File ${fileName} downloaded with ${status.rows} rows.`);
+            return true;
+        } catch (error) {
+            console.error(`Error downloading ${fileName} from ${segment.url}:`, error.message);
+            status.lastError = error.message;
+            status.lastErrorAt = new Date().toISOString();
+            if (attempt < retries) await sleep(retryDelayMs * 2 ** (attempt - 1));
+        }
+    }
 
-    try {
-        const downloadedFiles = await Promise.all(downloadPromises);
-        // console.log(`${broker} files downloaded successfully:`, downloadedFiles);
-    } catch (error) {
-        console.error(`Error downloading files for ${broker}:`, error);
+    // Every attempt failed; the previous file (if any) stays in place
+    status.usingLastGood = fs.existsSync(filePath);
+    throw new Error(`Could not download ${fileName}: ${status.lastError}`);
+}
+
+// Function to handle downloading all files for a broker
+async function downloadBrokerFiles(broker) {
+    // URLs and file names of the segments enabled in config.scripMasters
+    const segments = segmentsFor(broker);
+
+    if (segments.length === 0) {
+        console.log(`No URLs found for broker: ${broker}`);
+        return { broker, updated: [], failed: [] };
     }
+
+    const results = await Promise.allSettled(
+        segments.map((segment) => downloadFile(broker, segment))
+    );
+    return {
+        broker,
+        updated: segments.filter((segment, index) => results[index].value === true).map((segment) => segment.file),
+        failed: segments.filter((segment, index) => results[index].status === 'rejected').map((segment) => segment.file),
+    };
 }
 
 // Check and update files for the broker
-async function checkAndUpdateFiles(broker, customNames = []) {
-    // console.log(`Checking files for ${broker}...`);
-
-    try {
-        // Download all files for the broker
-        await downloadBrokerFiles(broker, customNames);
+async function checkAndUpdateFiles(broker) {
+    const result = await downloadBrokerFiles(broker);
+    if (result.failed.length > 0) {
+        console.error(`Files for ${broker} failed to update, using the last good copies:`, result.failed);
+    } else {
         console.log(`Files for ${broker} updated successfully.`);
-    } catch (error) {
-        console.error(`Error downloading files for ${broker}:`, error);
     }
+    return result;
 }
 
+// ===> Update every broker now, then again each day at dailyAtUtc
+function start(brokers) {
+    const run = async () => {
+        for (const broker of brokers) {
+            try {
+                const result = await checkAndUpdateFiles(broker);
+                if (result.updated.length > 0) events.emit('updated', result);
+            } catch (error) {
+                console.error(`Error updating files for ${broker}:`, error);
+            }
+        }
+    };
+    const schedule = () => {
+        nextRunAt = nextUpdateTime();
+        clearTimeout(schedulerTimer);
+        schedulerTimer = setTimeout(async () => {
+            await run();
+            schedule();
+        }, nextRunAt.getTime() - Date.now());
+        schedulerTimer.unref();
+    };
+
+    schedule();
+    return run();
+}
 
-// Check and update files on startup for both brokers
-// (async () => {
-//     await checkAndUpdateFiles('flattrade');
-//     // await checkAndUpdateFiles('shoonya');
-// })();
+// ===> File ages and last download results for every enabled segment
+function getStatus(brokers) {
+    const files = brokers.flatMap((broker) =>
+        segmentsFor(broker).map((segment) => {
+            const filePath = path.join(symbolsFolder, segment.file);
+            const exists = fs.existsSync(filePath);
+            const modifiedAt = exists ? fs.statSync(filePath).mtime : null;
+            return {
+                broker,
+                segment: segment.name,
+                file: segment.file,
+                exists,
+                modifiedAt: modifiedAt?.toISOString() || null,
+                ageHours: modifiedAt ? +((Date.now() - modifiedAt) / 3600000).toFixed(2) : null,
+                outdated: isFileOutdated(filePath),
+                ...fileStatus.get(segment.file),
+            };
+        })
+    );
+    return {
+        dailyAtUtc: config.scripDownloads.dailyAtUtc,
+        nextRunAt: nextRunAt?.toISOString() || null,
+        files,
+    };
+}
 
-module.exports = {checkAndUpdateFiles};
+module.exports = { events, checkAndUpdateFiles, start, getStatus, validateFile };
@@ -4,14 +4,33 @@ const router = express.Router();
 const { createProxyMiddleware } = require("http-proxy-middleware");
 const axios = require("axios");
 const NodeCache = require("node-cache");
-const fs = require("fs");
-const csv = require("fast-csv");
 const qs = require("qs");
-const { parse, isBefore } = require("date-fns");
+const { loadFlattradeSymbols, checkExchange } = require("./symbolLoaders");
+const flattradeAdapter = require("./brokerAdapters").getAdapter("flattrade");
+const { validateModifyOrder } = require("./orderValidation");
+const { basketValidation, placeBasket } = require("./basketOrders");
+const { exitAll } = require("./exitAll");
+const { riskCheck, modifyRiskCheck } = require("./riskChecks");
+const { placeSlicedOrder } = require("./orderSlicer");
+const { brokerSession } = require("./brokerSession");
+const instrumentChanges = require("./instrumentChanges");
 
 const symbolCache = new NodeCache({ stdTTL: 4 * 60 * 60 });
 
-module.exports = (storedCredentials) => {
+// Fresh scrip masters make every cached /symbols result stale
+instrumentChanges.events.on("changed", ({ broker }) => {
+  if (broker === "flattrade") symbolCache.flushAll();
+});
+
+module.exports = (sessionStore) => {
+  const orderRiskCheck = riskCheck(
+    () => flattradeAdapter,
+    (req) => ({
+      jKey: req.headers.authorization?.split(" ")[1],
+      clientId: req.body.uid || req.body.legs?.[0]?.uid,
+    })
+  );
+
   router.use(
     "/flattradeApi",
     createProxyMiddleware({
@@ -22,6 +41,10 @@ module.exports = (storedCredentials) => {
       },
     })
   );
+
+  // Tokens come from the caller's session when the request does not carry them
+  router.use(brokerSession("flattrade"));
+
 // Make sure 'crypto' is imported at the top of the file:
 // const crypto = require('crypto');
 // The following generateToken function is modified to make the entire login process more secure
@@ -204,27 +227,31 @@ router.post('/option-greek', async (req, res) => {
     console.log("Received POST request to set credentials");
     const { usersession, userid } = req.body;
 
-    // Store the credentials
-    storedCredentials.flattrade = {
+    // Store the credentials in the caller's session, starting one if needed
+    const session = req.userSession || sessionStore.createSession();
+    sessionStore.setBrokerCredentials(session, "flattrade", {
       usersession,
       userid,
-    };
+    });
 
-    res.json({ message: "Flattrade Credentials updated successfully" });
+    res.json({
+      message: "Flattrade Credentials updated successfully",
+      sessionId: session.id,
+    });
     console.log(
       `${new Date().toLocaleTimeString()}  Updated Flattrade credentials`
     );
   });
 
   // ===> Endpoint to use the stored credentials
-  router.get("/websocketData", (req, res) => {
+  router.get("/websocketData", sessionStore.requireSession, (req, res) => {
     // console.log("Received GET request for flattrade websocket data");
 
-    // Use the stored credentials
-    const websocketData = {
-      usersession: storedCredentials.flattrade.usersession,
-      userid: storedCredentials.flattrade.userid,
-    };
+    // Use the credentials stored in the caller's session
+    const websocketData = sessionStore.getBrokerCredentials(
+      req.userSession,
+      "flattrade"
+    ) || { usersession: "", userid: "" };
 
     res.json(websocketData);
     console.log(
@@ -234,7 +261,7 @@ router.post('/option-greek', async (req, res) => {
 
   // ===> Get Flattrade Funds
   router.post("/fundLimit", async (req, res) => {
-    const jKey = req.query.FLATTRADE_API_TOKEN;
+    const jKey = req.headers.authorization?.split(" ")[1];
     const clientId = req.query.FLATTRADE_CLIENT_ID;
 
     if (!jKey || !clientId) {
@@ -270,9 +297,15 @@ router.post('/option-greek', async (req, res) => {
   });
 
   // ===> Get Flattrade Symbols
-  router.get("/symbols", (req, res) => {
+  router.get("/symbols", async (req, res) => {
     const { exchangeSymbol, masterSymbol } = req.query;
 
+    try {
+      checkExchange("flattrade", exchangeSymbol);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
     const cacheKey = `${exchangeSymbol}_${masterSymbol}`;
 
     const cachedData = symbolCache.get(cacheKey);
@@ -280,79 +313,22 @@ router.post('/option-greek', async (req, res) => {
       return res.json(cachedData);
     }
 
-    const callStrikes = [];
-    const putStrikes = [];
-    const expiryDates = new Set();
-
-    const csvFilePath =
-      exchangeSymbol === "BFO"
-        ? "./symbols/Bfo_Index_Derivatives.csv"
-        : "./symbols/Nfo_Index_Derivatives.csv";
-
-    fs.createReadStream(csvFilePath)
-      .pipe(csv.parse({ headers: true }))
-      .on("data", (row) => {
-        if (
-          row["Symbol"] === masterSymbol &&
-          row["Exchange"] === exchangeSymbol
-        ) {
-          const strikeData = {
-            tradingSymbol: row["Tradingsymbol"],
-            securityId: row["Token"],
-            expiryDate: row["Expiry"], // Send expiry date without parsing or formatting
-            strikePrice: row["Strike"],
-          };
-          if (row["Optiontype"] === "CE") {
-            callStrikes.push(strikeData);
-          } else if (row["Optiontype"] === "PE") {
-            putStrikes.push(strikeData);
-          }
-          expiryDates.add(row["Expiry"]);
-        }
-      })
-      .on("end", () => {
-        console.log("\nFinished processing file");
-        console.log(`Call Strikes: ${callStrikes.length}`);
-        console.log(`Put Strikes: ${putStrikes.length}`);
-        console.log(`Expiry Dates: ${expiryDates.size}`);
-
-        callStrikes.sort((a, b) => a.strikePrice - b.strikePrice);
-        putStrikes.sort((a, b) => a.strikePrice - b.strikePrice);
-        // Filter out past dates and sort the remaining expiry dates
-        const today = new Date();
-        const sortedExpiryDates = Array.from(expiryDates)
-          .filter(
-            (dateStr) =>
-              !isBefore(parse(dateStr, "dd-MMM-yyyy", new Date()), today) ||
-              parse(dateStr, "dd-MMM-yyyy", new Date()).toDateString() ===
-                today.toDateString()
-          )
-          .sort((a, b) => {
-            const dateA = parse(a, "dd-MMM-yyyy", new Date());
-            const dateB = parse(b, "dd-MMM-yyyy", new Date());
-            return dateA - dateB;
-          });
-
-        const result = {
-          callStrikes,
-          putStrikes,
-          expiryDates: sortedExpiryDates,
-        };
-        symbolCache.set(cacheKey, result);
-
-        res.json(result);
-      })
-      .on("error", (error) => {
-        res
-          .status(500)
-          .json({ message: "Failed to process Flattrade CSV file" });
-        console.error("Error processing Flattrade CSV file:", error);
-      });
+    try {
+      const result = await loadFlattradeSymbols(exchangeSymbol, masterSymbol);
+      symbolCache.set(cacheKey, result);
+
+      res.json(result);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Failed to process Flattrade CSV file" });
+      console.error("Error processing Flattrade CSV file:", error);
+    }
   });
 
   // ===> Get Flattrade Orders and Trades
   router.get("/getOrdersAndTrades", async (req, res) => {
-    const jKey = req.query.FLATTRADE_API_TOKEN;
+    const jKey = req.headers.authorization?.split(" ")[1];
     const clientId = req.query.FLATTRADE_CLIENT_ID;
 
     if (!jKey || !clientId) {
@@ -406,10 +382,54 @@ router.post('/option-greek', async (req, res) => {
     }
   });
 
+  // ===> Get Flattrade Positions
+  router.get("/positions", async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+    const clientId = req.query.FLATTRADE_CLIENT_ID;
+
+    if (!jKey || !clientId) {
+      return res
+        .status(400)
+        .json({ message: "Token or Client ID is missing." });
+    }
+
+    try {
+      res.json(await flattradeAdapter.getPositions({ jKey, clientId }));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching Flattrade positions",
+        error: error.message,
+      });
+      console.error("Error fetching Flattrade positions:", error);
+    }
+  });
+
+  // ===> Get Flattrade Holdings
+  router.get("/holdings", async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+    const clientId = req.query.FLATTRADE_CLIENT_ID;
+
+    if (!jKey || !clientId) {
+      return res
+        .status(400)
+        .json({ message: "Token or Client ID is missing." });
+    }
+
+    try {
+      res.json(await flattradeAdapter.getHoldings({ jKey, clientId }));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching Flattrade holdings",
+        error: error.message,
+      });
+      console.error("Error fetching Flattrade holdings:", error);
+    }
+  });
+
   //===> TRADING API CALLS <===
 
   // ===> Place Flattrade Order
-  router.post("/placeOrder", async (req, res) => {
+  router.post("/placeOrder", orderRiskCheck, async (req, res) => {
     const jKey = req.headers.authorization?.split(" ")[1];
 
     if (!jKey) {
@@ -420,25 +440,15 @@ router.post('/option-greek', async (req, res) => {
 
     const jData = qs.parse(req.body);
 
-    // const payload = `jKey=${jKey}&jData=${encodeURIComponent(jData)}`; // Not sure if we need this version, so keep it.
-    const payload = `jKey=${jKey}&jData=${JSON.stringify(jData)}`;
-
     try {
-      const response = await axios.post(
-        "https://piconnect.flattrade.in/PiConnectTP/PlaceOrder",
-        payload,
-        {
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-        }
-      );
-      res.json(response.data);
-      console.log(
-        `\nFlattrade Order Place details:`,
-        jData,
-        response.data
+      // Orders above the freeze quantity go out as several child orders
+      const response = await placeSlicedOrder(
+        flattradeAdapter,
+        { jKey, clientId: jData.uid },
+        jData
       );
+      res.json(response);
+      console.log(`\nFlattrade Order Place details:`, jData, response);
     } catch (error) {
       res.status(500).json({
         message: "Error placing Flattrade Place order",
@@ -448,10 +458,100 @@ router.post('/option-greek', async (req, res) => {
     }
   });
 
+  // ===> Place Flattrade Basket Order
+  router.post("/basketOrder", basketValidation, orderRiskCheck, async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+    const { legs, rollback } = req.body;
+
+    if (!jKey) {
+      return res
+        .status(400)
+        .json({ message: "Token is missing. Please generate a token first." });
+    }
+
+    try {
+      const result = await placeBasket(
+        flattradeAdapter,
+        { jKey, clientId: legs[0].uid },
+        legs,
+        { rollback: rollback === true || rollback === "true" }
+      );
+      res.json(result);
+      console.log(`\nFlattrade Basket Order details:`, JSON.stringify(result));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error placing Flattrade basket order",
+        error: error.message,
+      });
+      console.error("Error placing Flattrade basket order:", error);
+    }
+  });
+
+  // ===> Modify Flattrade Order
+  router.post("/modifyOrder", modifyRiskCheck(), async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+
+    if (!jKey) {
+      return res
+        .status(400)
+        .json({ message: "Token is missing. Please generate a token first." });
+    }
+
+    const jData = qs.parse(req.body);
+    const validationError = validateModifyOrder(jData);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const response = await flattradeAdapter.modifyOrder(
+        { jKey, clientId: jData.uid },
+        { ret: "DAY", ...jData }
+      );
+      res.json(response);
+      console.log(`\nFlattrade Modify Order details:`, jData, response);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error modifying Flattrade order",
+        error: error.message,
+      });
+      console.error("Error modifying Flattrade order:", error);
+    }
+  });
+
+  // ===> Exit All Flattrade Orders and Positions
+  router.post("/exitAll", async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+    const { uid, underlying, expiry } = req.body;
+
+    if (!jKey || !uid) {
+      return res
+        .status(400)
+        .json({ message: "Token or Client ID is missing." });
+    }
+
+    try {
+      const result = await exitAll(
+        flattradeAdapter,
+        { jKey, clientId: uid },
+        { underlying, expiry }
+      );
+      res.json(result);
+      console.log(`\nFlattrade Exit All:`, JSON.stringify(result));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error exiting all Flattrade positions",
+        error: error.message,
+      });
+      console.error("Error exiting all Flattrade positions:", error);
+    }
+  });
+
   // ===> Cancel Flattrade Order
   router.post("/cancelOrder", async (req, res) => {
     const { norenordno, uid } = req.body;
-    const jKey = req.query.FLATTRADE_API_TOKEN;
+    const jKey = req.headers.authorization?.split(" ")[1];
 
     if (!jKey) {
       return res
@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const { contractGreeks, chainGreeks } = require("./optionGreeks");
+
+module.exports = () => {
+  // ===> Greeks for Contracts
+  // { broker, spot, rate, dividendYield, contracts: [{ tsym | underlying,
+  //   expiry, strike, optionType; price?, iv?, spot? }] }
+  router.post("/", async (req, res) => {
+    const { contracts } = req.body;
+    if (!Array.isArray(contracts) || contracts.length === 0) {
+      return res.status(400).json({ message: "contracts must be a non-empty array." });
+    }
+
+    try {
+      res.json(await contractGreeks(req.body));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error computing greeks",
+        error: error.message,
+      });
+      console.error("Error computing greeks:", error);
+    }
+  });
+
+  // ===> Greeks for a Whole Chain (/optionchain query plus rate and dividendYield)
+  router.get("/chain", async (req, res) => {
+    try {
+      res.json(await chainGreeks(req.query));
+    } catch (error) {
+      res.status(400).json({
+        message: "Error computing chain greeks",
+        error: error.message,
+      });
+      console.error("Error computing chain greeks:", error.message);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,125 @@
+const EventEmitter = require("events");
+const instrumentIndex = require("./instrumentIndex");
+const { readJson, writeJson } = require("./jsonStore");
+
+// ===> Instrument master change detection.
+// After the downloader replaces a broker's scrip masters the index is rebuilt
+// and compared with a summary of the previous one (kept in data/ so restarts
+// still have something to compare against): new and removed expiries, added
+// and removed strikes, and lot size changes. A "changed" event on
+// instrumentChanges.events ({ broker, report }) tells the routers to drop
+// their cached /symbols results.
+
+const events = new EventEmitter();
+const reportsFile = "instrument-changes.json";
+
+const reports = readJson(reportsFile, {});
+
+function summaryFile(broker) {
+  return `instrument-summary-${broker}.json`;
+}
+
+// { "NFO|NIFTY": { "2026-11-27": { lotSize, strikes: ["24000CE", ...] } } }
+// for every instrument with an expiry
+function summarize(index) {
+  const underlyings = {};
+  for (const item of index.instruments) {
+    if (!item.expiry) continue;
+    const key = `${item.exchange}|${item.underlying}`;
+    const expiries = (underlyings[key] = underlyings[key] || {});
+    if (!expiries[item.expiry]) {
+      expiries[item.expiry] = { lotSize: item.lotSize, strikes: [] };
+    }
+    if (item.optionType) {
+      expiries[item.expiry].strikes.push(`${item.strike}${item.optionType}`);
+    }
+  }
+  return { builtAt: index.builtAt, underlyings };
+}
+
+function difference(list, other) {
+  const otherSet = new Set(other);
+  return list.filter((item) => !otherSet.has(item));
+}
+
+function compare(previous, current) {
+  const report = {
+    previousBuiltAt: previous.builtAt,
+    currentBuiltAt: current.builtAt,
+    newExpiries: [],
+    removedExpiries: [],
+    addedStrikes: [],
+    removedStrikes: [],
+    lotSizeChanges: [],
+  };
+  const keys = new Set([
+    ...Object.keys(previous.underlyings),
+    ...Object.keys(current.underlyings),
+  ]);
+
+  for (const key of keys) {
+    const [exchange, underlying] = key.split("|");
+    const before = previous.underlyings[key] || {};
+    const after = current.underlyings[key] || {};
+
+    for (const expiry of difference(Object.keys(after), Object.keys(before))) {
+      report.newExpiries.push({ exchange, underlying, expiry });
+    }
+    for (const expiry of difference(Object.keys(before), Object.keys(after))) {
+      report.removedExpiries.push({ exchange, underlying, expiry });
+    }
+
+    // Strikes and lot sizes only for expiries listed in both
+    for (const expiry of Object.keys(after).filter((item) => before[item])) {
+      const added = difference(after[expiry].strikes, before[expiry].strikes);
+      const removed = difference(before[expiry].strikes, after[expiry].strikes);
+      if (added.length > 0) {
+        report.addedStrikes.push({ exchange, underlying, expiry, strikes: added });
+      }
+      if (removed.length > 0) {
+        report.removedStrikes.push({ exchange, underlying, expiry, strikes: removed });
+      }
+      if (before[expiry].lotSize !== after[expiry].lotSize) {
+        report.lotSizeChanges.push({
+          exchange,
+          underlying,
+          expiry,
+          from: before[expiry].lotSize,
+          to: after[expiry].lotSize,
+        });
+      }
+    }
+  }
+  return report;
+}
+
+// ===> Rebuild a broker's index from fresh files and report what changed
+async function rebuild(broker) {
+  const previous = readJson(summaryFile(broker));
+  const index = await instrumentIndex.reload(broker);
+  const current = summarize(index);
+  writeJson(summaryFile(broker), current);
+
+  const report = previous
+    ? { broker, comparedAt: new Date().toISOString(), ...compare(previous, current) }
+    : null;
+  if (report) {
+    reports[broker] = report;
+    writeJson(reportsFile, reports);
+    console.log(
+      `\nInstrument changes for ${broker}: ${report.newExpiries.length} new expiries, ` +
+        `${report.addedStrikes.length} expiries with added strikes, ` +
+        `${report.lotSizeChanges.length} lot size changes`
+    );
+  }
+
+  events.emit("changed", { broker, report });
+  return report;
+}
+
+// The latest report for a broker, or null before its first compared update
+function getReport(broker) {
+  return reports[broker] || null;
+}
+
+module.exports = { events, rebuild, getReport };
@@ -0,0 +1,323 @@
+const fs = require("fs");
+const path = require("path");
+const csv = require("fast-csv");
+const unzipper = require("unzipper");
+const { parse, format, isValid } = require("date-fns");
+const config = require("../config");
+
+// ===> Unified instrument master.
+// Reads the scrip master files fileUpdates.js downloads into one in-memory
+// index per broker, with the broker specific column names normalized:
+//   { broker, exchange, token, tradingSymbol, underlying, instrument,
+//     optionType, strike, strikePrice (as in the file), expiry (yyyy-MM-dd),
+//     expiryDate (as in the file), lotSize, tickSize }
+// The index is built on first use and kept until reload(broker).
+
+const symbolsFolder = path.join(path.resolve(__dirname, "../"), "symbols");
+
+// Column names per broker; which files to read comes from config.scripMasters
+const COLUMNS = {
+  flattrade: {
+    exchange: "Exchange",
+    token: "Token",
+    lotSize: "Lotsize",
+    symbol: "Symbol",
+    tradingSymbol: "Tradingsymbol",
+    expiry: "Expiry",
+    instrument: "Instrument",
+    optionType: "Optiontype",
+    strike: "Strike",
+    tickSize: "Ticksize",
+  },
+  shoonya: {
+    exchange: "Exchange",
+    token: "Token",
+    lotSize: "LotSize",
+    symbol: "Symbol",
+    tradingSymbol: "TradingSymbol",
+    expiry: "Expiry",
+    instrument: "Instrument",
+    optionType: "OptionType",
+    strike: "StrikePrice",
+    tickSize: "TickSize",
+  },
+};
+
+// Shoonya names BSE index derivatives by product code instead of the index
+const bfoSymbolMapping = {
+  BSXOPT: "SENSEX",
+  BSXFUT: "SENSEX",
+  BKXOPT: "BANKEX",
+  BKXFUT: "BANKEX",
+  SX50OPT: "SENSEX50",
+  SX50FUT: "SENSEX50",
+};
+
+const EXPIRY_FORMATS = ["yyyy-MM-dd", "dd-MMM-yyyy", "ddMMMyy", "ddMMMyyyy"];
+
+const indexes = new Map();
+
+// ===> Enabled scrip master segments of a broker: { name, exchange, file, url }
+function segmentsFor(broker) {
+  const master = config.scripMasters[broker];
+  if (!master) return [];
+  return Object.entries(master.segments)
+    .filter(([name]) => !master.enabled || master.enabled.includes(name))
+    .map(([name, segment]) => ({
+      name,
+      ...segment,
+      url: `${master.baseUrl}${segment.file}`,
+    }));
+}
+
+function exchangesFor(broker) {
+  return Array.from(new Set(segmentsFor(broker).map((item) => item.exchange)));
+}
+
+// 28-NOV-2024, 28NOV24 or 2024-11-28 -> 2024-11-28, null when not a date
+function toIsoExpiry(value) {
+  if (!value) return null;
+  for (const pattern of EXPIRY_FORMATS) {
+    const date = parse(value, pattern, new Date());
+    if (isValid(date)) return format(date, "yyyy-MM-dd");
+  }
+  return null;
+}
+
+function toUnderlying(exchange, symbol) {
+  if (exchange !== "BFO") return symbol;
+  const code = Object.keys(bfoSymbolMapping).find((prefix) =>
+    symbol.startsWith(prefix)
+  );
+  return code ? bfoSymbolMapping[code] : symbol;
+}
+
+// Identifies a contract independent of how a broker spells its symbol
+function contractKey({ exchange, underlying, instrument, expiry, optionType, strike }) {
+  return [exchange, underlying, instrument, expiry, optionType, strike].join("|");
+}
+
+function normalizeRow(broker, columns, row) {
+  const exchange = row[columns.exchange];
+  const optionType = row[columns.optionType];
+  const isOption = optionType === "CE" || optionType === "PE";
+  const tickSize = parseFloat(row[columns.tickSize]);
+
+  return {
+    broker,
+    exchange,
+    token: row[columns.token],
+    tradingSymbol: row[columns.tradingSymbol],
+    underlying: toUnderlying(exchange, row[columns.symbol] || ""),
+    instrument: row[columns.instrument],
+    optionType: isOption ? optionType : null,
+    strike: isOption ? parseFloat(row[columns.strike]) : null,
+    strikePrice: isOption ? row[columns.strike] : null,
+    expiry: toIsoExpiry(row[columns.expiry]),
+    expiryDate: row[columns.expiry],
+    lotSize: parseInt(row[columns.lotSize]) || 1,
+    tickSize: isNaN(tickSize) ? 0.05 : tickSize,
+  };
+}
+
+// Stream every row of a CSV file; a missing file yields no rows
+function readCsvRows(filePath, onRow) {
+  if (!fs.existsSync(filePath)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(csv.parse({ headers: true }))
+      .on("data", onRow)
+      .on("end", resolve)
+      .on("error", reject);
+  });
+}
+
+// Stream every row of the .txt files inside a zip; a missing file yields no rows
+function readZipRows(zipFilePath, onRow) {
+  if (!fs.existsSync(zipFilePath)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    fs.createReadStream(zipFilePath)
+      .pipe(unzipper.Parse())
+      .on("entry", (entry) => {
+        if (!entry.path.endsWith(".txt")) return entry.autodrain();
+        entries.push(
+          new Promise((done, fail) =>
+            entry
+              .pipe(csv.parse({ headers: true, delimiter: "," }))
+              .on("data", onRow)
+              .on("end", done)
+              .on("error", fail)
+          )
+        );
+      })
+      .on("close", () => Promise.all(entries).then(resolve, reject))
+      .on("error", reject);
+  });
+}
+
+async function buildIndex(broker) {
+  const columns = COLUMNS[broker];
+  if (!columns) throw new Error(`No instrument files for broker: ${broker}`);
+
+  const index = {
+    instruments: [],
+    byToken: new Map(),
+    bySymbol: new Map(),
+    byContract: new Map(),
+    builtAt: null,
+  };
+  const addRow = (row) => {
+    const instrument = normalizeRow(broker, columns, row);
+    if (!instrument.token || !instrument.tradingSymbol) return;
+    index.instruments.push(instrument);
+    index.byToken.set(`${instrument.exchange}|${instrument.token}`, instrument);
+    index.bySymbol.set(instrument.tradingSymbol, instrument);
+    index.byContract.set(contractKey(instrument), instrument);
+  };
+
+  for (const { file } of segmentsFor(broker)) {
+    const filePath = path.join(symbolsFolder, file);
+    await (file.endsWith(".zip")
+      ? readZipRows(filePath, addRow)
+      : readCsvRows(filePath, addRow));
+  }
+
+  index.builtAt = new Date().toISOString();
+  console.log(
+    `\nInstrument index for ${broker} built with ${index.instruments.length} instruments`
+  );
+  return index;
+}
+
+// ===> The index for a broker, built once and shared by every caller
+function getIndex(broker) {
+  if (!indexes.has(broker)) {
+    const building = buildIndex(broker);
+    indexes.set(broker, building);
+    // Let a failed build be retried on the next call
+    building.catch(() => indexes.delete(broker));
+  }
+  return indexes.get(broker);
+}
+
+// Drop the index so the next call re-reads the files
+function reload(broker) {
+  indexes.delete(broker);
+  return getIndex(broker);
+}
+
+async function getByToken(broker, exchange, token) {
+  const index = await getIndex(broker);
+  return index.byToken.get(`${exchange?.toUpperCase()}|${token}`) || null;
+}
+
+async function getBySymbol(broker, tradingSymbol) {
+  const index = await getIndex(broker);
+  return index.bySymbol.get(tradingSymbol) || null;
+}
+
+// The same contract in this broker's index, whatever another broker calls it
+async function getByContract(broker, instrument) {
+  const index = await getIndex(broker);
+  return index.byContract.get(contractKey(instrument)) || null;
+}
+
+function byExpiryAndStrike(a, b) {
+  return (
+    (a.expiry || "").localeCompare(b.expiry || "") ||
+    (a.strike ?? 0) - (b.strike ?? 0) ||
+    a.tradingSymbol.localeCompare(b.tradingSymbol)
+  );
+}
+
+// ===> Instruments matching every given field; expiry takes any format toIsoExpiry does
+async function filter(broker, { underlying, expiry, strike, optionType, exchange, instrument } = {}) {
+  const index = await getIndex(broker);
+  const expiryIso = expiry ? toIsoExpiry(expiry) : null;
+  const strikeValue = strike !== undefined ? parseFloat(strike) : null;
+
+  return index.instruments
+    .filter(
+      (item) =>
+        (!underlying || item.underlying === underlying.toUpperCase()) &&
+        (!expiryIso || item.expiry === expiryIso) &&
+        (strikeValue === null || item.strike === strikeValue) &&
+        (!optionType || item.optionType === optionType.toUpperCase()) &&
+        (!exchange || item.exchange === exchange.toUpperCase()) &&
+        (!instrument || item.instrument === instrument.toUpperCase())
+    )
+    .sort(byExpiryAndStrike);
+}
+
+// Characters of term appear in text in order; fewer gaps score higher
+function subsequenceScore(term, text) {
+  let position = -1;
+  let gaps = 0;
+  for (const char of term) {
+    const next = text.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    if (position !== -1) gaps += next - position - 1;
+    position = next;
+  }
+  return Math.max(20 - gaps, 1);
+}
+
+function termScore(term, item) {
+  const symbol = item.tradingSymbol.toUpperCase();
+  if (symbol === term) return 100;
+  if (symbol.startsWith(term)) return 80;
+  if (item.underlying === term) return 70;
+  if (symbol.includes(term)) return 60;
+  if (item.optionType === term) return 50;
+  if (item.strike !== null && item.strike.toString() === term) return 50;
+  if (item.expiryDate?.toUpperCase().includes(term)) return 40;
+  return subsequenceScore(term, symbol);
+}
+
+// ===> Fuzzy search: every word of the query has to match somewhere
+// ("nifty 24000 ce", "banknifty28nov", "nfty24000")
+async function search(broker, query, { limit = 20, exchange } = {}) {
+  const terms = (query || "").toUpperCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const index = await getIndex(broker);
+  const results = [];
+  for (const item of index.instruments) {
+    if (exchange && item.exchange !== exchange.toUpperCase()) continue;
+
+    let score = 0;
+    for (const term of terms) {
+      const points = termScore(term, item);
+      if (points === 0) {
+        score = 0;
+        break;
+      }
+      score += points;
+    }
+    if (score > 0) results.push({ score, item });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || byExpiryAndStrike(a.item, b.item))
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
+
+module.exports = {
+  COLUMNS,
+  segmentsFor,
+  exchangesFor,
+  toIsoExpiry,
+  readCsvRows,
+  readZipRows,
+  getIndex,
+  reload,
+  getByToken,
+  getBySymbol,
+  getByContract,
+  filter,
+  search,
+};
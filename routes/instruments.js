@@ -0,0 +1,174 @@
+const express = require("express");
+const router = express.Router();
+const instrumentIndex = require("./instrumentIndex");
+const instrumentChanges = require("./instrumentChanges");
+const { mapInstrument, mapOrder } = require("./symbolMapper");
+
+const MAX_RESULTS = 1000;
+
+module.exports = () => {
+  // ?broker= picks whose scrip master to read, Flattrade by default
+  router.use((req, res, next) => {
+    req.broker = (req.query.broker || "flattrade").toLowerCase();
+    if (!instrumentIndex.COLUMNS[req.broker]) {
+      return res
+        .status(404)
+        .json({ message: `No instrument master for broker: ${req.broker}` });
+    }
+    next();
+  });
+
+  // ===> Fuzzy Search (?q=nifty 24000 ce&exchange=&limit=)
+  router.get("/search", async (req, res) => {
+    const { q, exchange } = req.query;
+    if (!q) {
+      return res.status(400).json({ message: "Search query q is missing." });
+    }
+
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, MAX_RESULTS);
+      res.json(await instrumentIndex.search(req.broker, q, { limit, exchange }));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error searching instruments",
+        error: error.message,
+      });
+      console.error("Error searching instruments:", error);
+    }
+  });
+
+  // ===> Lookup by Exchange Token
+  router.get("/token/:exchange/:token", async (req, res) => {
+    try {
+      const { exchange, token } = req.params;
+      const instrument = await instrumentIndex.getByToken(
+        req.broker,
+        exchange,
+        token
+      );
+      if (!instrument) {
+        return res.status(404).json({ message: "Instrument not found" });
+      }
+      res.json(instrument);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error looking up instrument",
+        error: error.message,
+      });
+      console.error("Error looking up instrument:", error);
+    }
+  });
+
+  // ===> Expiries of an Underlying (?underlying=NIFTY&exchange=)
+  router.get("/expiries", async (req, res) => {
+    try {
+      const { underlying, exchange } = req.query;
+      const instruments = await instrumentIndex.filter(req.broker, {
+        underlying,
+        exchange,
+      });
+      const expiries = new Set(
+        instruments.map((item) => item.expiry).filter(Boolean)
+      );
+      res.json(Array.from(expiries).sort());
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching expiries",
+        error: error.message,
+      });
+      console.error("Error fetching expiries:", error);
+    }
+  });
+
+  // ===> What Changed in the Last Scrip Master Update
+  router.get("/changes", (req, res) => {
+    const report = instrumentChanges.getReport(req.broker);
+    if (!report) {
+      return res
+        .status(404)
+        .json({ message: `No scrip master update compared yet for ${req.broker}` });
+    }
+    res.json(report);
+  });
+
+  // ===> Map One Instrument to Another Broker (?from=&to=&tsym= or &exchange=&token=)
+  router.get("/map", async (req, res) => {
+    const { from, to, tsym, exchange, token } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ message: "from and to brokers are required." });
+    }
+
+    try {
+      const result = await mapInstrument(from, to, { tsym, exchange, token });
+      if (!result.to) return res.status(404).json(result);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({
+        message: "Error mapping instrument",
+        error: error.message,
+      });
+    }
+  });
+
+  // ===> Map Positions or Orders in Bulk ({ from, to, symbols: [], orders: [] })
+  router.post("/map", async (req, res) => {
+    const { from, to, symbols = [], orders = [] } = req.body;
+    if (!from || !to) {
+      return res.status(400).json({ message: "from and to brokers are required." });
+    }
+
+    const settle = (promise) =>
+      promise.then(
+        (result) => result,
+        (error) => ({ error: error.message })
+      );
+    try {
+      res.json({
+        symbols: await Promise.all(
+          symbols.map((tsym) => settle(mapInstrument(from, to, { tsym })))
+        ),
+        orders: await Promise.all(
+          orders.map((order) => settle(mapOrder(from, to, order)))
+        ),
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error mapping instruments",
+        error: error.message,
+      });
+      console.error("Error mapping instruments:", error);
+    }
+  });
+
+  // ===> Filter (?underlying=&expiry=&strike=&optionType=&exchange=&instrument=)
+  router.get("/", async (req, res) => {
+    const { underlying, expiry, strike, optionType, exchange, instrument } =
+      req.query;
+    if (!underlying && !expiry && !strike && !exchange && !instrument) {
+      return res.status(400).json({
+        message: "Give at least one of underlying, expiry, strike, exchange or instrument.",
+      });
+    }
+
+    try {
+      const instruments = await instrumentIndex.filter(req.broker, {
+        underlying,
+        expiry,
+        strike,
+        optionType,
+        exchange,
+        instrument,
+      });
+      const limit = Math.min(parseInt(req.query.limit) || MAX_RESULTS, MAX_RESULTS);
+      res.json(instruments.slice(0, limit));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error filtering instruments",
+        error: error.message,
+      });
+      console.error("Error filtering instruments:", error);
+    }
+  });
+
+  return router;
+};
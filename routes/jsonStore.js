@@ -0,0 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+
+// ===> Small JSON file store for server-side state under the 'data' folder
+
+// DATA_DIR moves it elsewhere (the tests use a temporary folder)
+const dataFolder = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(path.resolve(__dirname, "../"), "data");
+
+// Ensure 'data' folder exists
+if (!fs.existsSync(dataFolder)) {
+  fs.mkdirSync(dataFolder, { recursive: true });
+}
+
+function dataPath(fileName) {
+  return path.join(dataFolder, fileName);
+}
+
+function readJson(fileName, fallback = null) {
+  const filePath = dataPath(fileName);
+  if (!fs.existsSync(filePath)) return fallback;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    console.error(`Error reading ${fileName}:`, error);
+    return fallback;
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves a half-written file
+function writeJson(fileName, data) {
+  const filePath = dataPath(fileName);
+  const tempPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { dataPath, readJson, writeJson };
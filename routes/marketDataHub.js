@@ -0,0 +1,492 @@
+const WebSocket = require("ws");
+const config = require("../config");
+const priceFeed = require("./priceFeed");
+const orderUpdates = require("./orderUpdates");
+const sessionStore = require("./sessionStore");
+
+// ===> Market data hub.
+// Holds one upstream connection per broker account (a broker's Noren websocket,
+// or the mock feed), so one user's /set-broker never replaces another's. Each
+// account's connection carries that account's order updates ("om" messages);
+// a client subscribing to order updates connects its session's account if
+// /set-broker hasn't. An account's connection is closed once no client wants
+// its order updates (unless it serves ticks someone is subscribed to), and
+// when the broker rejects its token.
+// Market data is the same for every account, so ticks come from a single feed:
+// the first upstream to log in subscribes to the instrument keys ("NFO|43651")
+// browser clients ask for over socket.io, and another connected upstream takes
+// the subscriptions over if it drops. Ticks are fanned back out to the clients
+// and every tick with an LTP is also published to the shared price feed for the
+// virtual and stop-loss engines.
+//
+// The server can subscribe keys itself with watch() (the option chain does, for
+// the strikes it shows); those stay subscribed until the watch expires.
+//
+// Client events: "subscribe" / "unsubscribe" with a key, an { exch, token, tsym }
+// object or an array of either. Server events: "tick" (merged quote), "status"
+// (the shared feed, to everyone) and "accountStatus" (one account's connection,
+// only to that account's order update room).
+
+let io = null;
+// Upstreams by account ("flattrade:FT0123", or "mock"), and the one serving ticks
+const upstreams = new Map();
+let feed = null;
+
+// Subscriber count, latest merged quote and trading symbol per key
+const subscriptions = new Map();
+const quotes = new Map();
+const symbols = new Map();
+// Server-side subscriptions: expiry time per watched key
+const watched = new Map();
+let watchTimer = null;
+
+function toKey(item) {
+  if (typeof item === "string") return item.toUpperCase();
+  if (!item?.exch || !item?.token) return null;
+  if (item.tsym) symbols.set(`${item.exch}|${item.token}`.toUpperCase(), item.tsym);
+  return `${item.exch}|${item.token}`.toUpperCase();
+}
+
+function accountKey(broker, credentials) {
+  return broker === "mock" ? "mock" : `${broker}:${credentials.userid}`;
+}
+
+function describeUpstream(upstream) {
+  return {
+    broker: upstream.broker,
+    clientId: upstream.credentials.userid || null,
+    status: upstream.status,
+    feed: upstream === feed,
+  };
+}
+
+function setStatus(upstream, next) {
+  upstream.status = next;
+  console.log(`\nMarket data hub (${upstream.key}): ${next}`);
+  io?.emit("status", getStatus());
+  if (upstream.broker !== "mock") {
+    io
+      ?.to(orderUpdates.roomFor(upstream.broker, upstream.credentials.userid))
+      .emit("accountStatus", describeUpstream(upstream));
+  }
+}
+
+// Status every client may see: which accounts are connected is not part of it
+function getStatus() {
+  return {
+    broker: feed?.broker || null,
+    status: feed?.status || "disconnected",
+    subscriptions: subscriptions.size,
+    connections: upstreams.size,
+  };
+}
+
+// ===> One account's connection, for that account's own clients; null when
+// the account has none
+function getAccountStatus(broker, credentials) {
+  if (broker !== "mock" && !credentials?.userid) return null;
+  const upstream = upstreams.get(accountKey(broker, credentials));
+  return upstream ? describeUpstream(upstream) : null;
+}
+
+// Latest merged quote for a key ("NFO|43651"), while someone is subscribed
+function getQuote(key) {
+  return quotes.get(key?.toUpperCase()) || null;
+}
+
+function send(upstream, message) {
+  if (upstream?.socket?.readyState === WebSocket.OPEN) {
+    upstream.socket.send(JSON.stringify(message));
+  }
+}
+
+function subscribeUpstream(keys) {
+  if (keys.length > 0) send(feed, { t: "t", k: keys.join("#") });
+}
+
+function unsubscribeUpstream(keys) {
+  if (keys.length > 0) send(feed, { t: "u", k: keys.join("#") });
+}
+
+// The first connected upstream serves ticks; called whenever one connects or
+// goes away
+function chooseFeed() {
+  if (feed && upstreams.get(feed.key) === feed && feed.status === "connected") return;
+
+  feed =
+    Array.from(upstreams.values()).find((upstream) => upstream.status === "connected") ||
+    null;
+  if (feed) {
+    console.log(`\nMarket data hub: ticks now from ${feed.key}`);
+    subscribeUpstream(Array.from(subscriptions.keys()));
+  }
+  io?.emit("status", getStatus());
+}
+
+// Noren "tk" carries the full quote, "tf" only the fields that changed
+function handleTick(message) {
+  const key = `${message.e}|${message.tk}`;
+  if (message.ts) symbols.set(key, message.ts);
+
+  const quote = {
+    ...quotes.get(key),
+    ...message,
+    key,
+    tsym: symbols.get(key),
+  };
+  quotes.set(key, quote);
+  io?.to(key).emit("tick", quote);
+
+  if (message.lp !== undefined && quote.tsym) {
+    // Noren feed times are epoch seconds
+    const time = message.ft ? new Date(message.ft * 1000).toISOString() : undefined;
+    priceFeed.publish({ tsym: quote.tsym, ltp: message.lp, time });
+  }
+}
+
+function handleMessage(upstream, data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    console.error("Invalid market data message:", data.toString());
+    return;
+  }
+
+  switch (message.t) {
+    case "ck":
+      if (message.s === "OK") {
+        setStatus(upstream, "connected");
+        send(upstream, { t: "o", actid: upstream.credentials.userid });
+        chooseFeed();
+      } else {
+        setStatus(upstream, "login failed");
+        upstream.socket.close();
+      }
+      break;
+    case "tk":
+    case "tf":
+      // A connection that stopped being the feed may still have ticks in flight
+      if (upstream === feed) handleTick(message);
+      break;
+    case "om":
+      orderUpdates.publish(upstream.broker, message);
+      break;
+    default:
+      break;
+  }
+}
+
+function clearTimers(upstream) {
+  clearInterval(upstream.heartbeatTimer);
+  clearTimeout(upstream.reconnectTimer);
+  clearInterval(upstream.mockTimer);
+  upstream.heartbeatTimer = upstream.reconnectTimer = upstream.mockTimer = null;
+}
+
+function connectNoren(upstream) {
+  const socket = new WebSocket(config.marketData.urls[upstream.broker]);
+  upstream.socket = socket;
+  setStatus(upstream, "connecting");
+
+  socket.on("open", () => {
+    send(upstream, {
+      t: "c",
+      uid: upstream.credentials.userid,
+      actid: upstream.credentials.userid,
+      susertoken: upstream.credentials.usersession,
+      source: "API",
+    });
+    upstream.heartbeatTimer = setInterval(
+      () => send(upstream, { t: "h" }),
+      config.marketData.heartbeatMs
+    );
+  });
+  socket.on("message", (data) => handleMessage(upstream, data));
+  socket.on("error", (error) => {
+    console.error(`Market data websocket error (${upstream.key}):`, error.message);
+  });
+  socket.on("close", () => {
+    clearInterval(upstream.heartbeatTimer);
+    // Closed by disconnect() or a newer connect(), nothing to do
+    if (upstream.socket !== socket) return;
+
+    upstream.socket = null;
+    if (upstream.status !== "login failed") {
+      setStatus(upstream, "reconnecting");
+      upstream.reconnectTimer = setTimeout(
+        () => connectNoren(upstream),
+        config.marketData.reconnectMs
+      );
+    }
+    chooseFeed();
+  });
+}
+
+// Random walk around the last known price, in Noren "tf" shape
+function startMock(upstream) {
+  setStatus(upstream, "connected");
+  upstream.mockTimer = setInterval(() => {
+    if (upstream !== feed) return;
+    for (const key of subscriptions.keys()) {
+      const [exch, token] = key.split("|");
+      const previous =
+        parseFloat(quotes.get(key)?.lp) ||
+        priceFeed.getLastPrice(symbols.get(key)) ||
+        100;
+      const ltp = Math.max(previous * (1 + (Math.random() - 0.5) / 100), 0.05);
+      handleTick({
+        t: "tf",
+        e: exch,
+        tk: token,
+        lp: ltp.toFixed(2),
+        ft: Math.floor(Date.now() / 1000).toString(),
+      });
+    }
+  }, config.marketData.mockIntervalMs);
+  chooseFeed();
+}
+
+function closeUpstream(upstream) {
+  clearTimers(upstream);
+  const socket = upstream.socket;
+  upstream.socket = null;
+  upstreams.delete(upstream.key);
+  socket?.close();
+  setStatus(upstream, "disconnected");
+}
+
+// Broker accounts stay connected while a client holds them for order updates,
+// or while they serve ticks somebody is subscribed to; the mock feed stays
+// until disconnect()
+function closeIfIdle(upstream) {
+  if (!upstream || upstream.broker === "mock" || upstream.holders.size > 0) return;
+  if (upstream === feed && subscriptions.size > 0) return;
+
+  console.log(`\nMarket data hub (${upstream.key}): no subscribers left`);
+  closeUpstream(upstream);
+  chooseFeed();
+}
+
+function closeIdleUpstreams() {
+  Array.from(upstreams.values()).forEach(closeIfIdle);
+}
+
+// One client less holding an account's connection
+function releaseAccount(socketId, key) {
+  const upstream = upstreams.get(key);
+  if (!upstream) return;
+  upstream.holders.delete(socketId);
+  closeIfIdle(upstream);
+}
+
+// The broker rejected the token, so its connection cannot log in again until
+// the user does
+sessionStore.events.on("tokenExpired", ({ broker, usersession }) => {
+  const expired = Array.from(upstreams.values()).filter(
+    (upstream) =>
+      upstream.broker === broker && upstream.credentials.usersession === usersession
+  );
+  if (expired.length === 0) return;
+  expired.forEach(closeUpstream);
+  chooseFeed();
+});
+
+// ===> Close one account's upstream ("flattrade:FT0123"), or all of them
+function disconnect(key) {
+  const closing = key
+    ? [upstreams.get(key)].filter(Boolean)
+    : Array.from(upstreams.values());
+  closing.forEach(closeUpstream);
+  chooseFeed();
+}
+
+// ===> Connect a broker account's upstream ("mock" needs no credentials).
+// Other accounts keep theirs; the same account reconnects with the new token.
+function connect(nextBroker, nextCredentials = {}) {
+  if (nextBroker !== "mock" && !config.marketData.urls[nextBroker]) {
+    throw new Error(`Unknown market data broker: ${nextBroker}`);
+  }
+  if (
+    nextBroker !== "mock" &&
+    (!nextCredentials.usersession || !nextCredentials.userid)
+  ) {
+    throw new Error(`No ${nextBroker} session, log in first`);
+  }
+
+  // Clients holding the account keep holding it across a reconnect
+  const key = accountKey(nextBroker, nextCredentials);
+  const previous = upstreams.get(key);
+  if (previous) {
+    closeUpstream(previous);
+    chooseFeed();
+  }
+
+  const upstream = {
+    key,
+    broker: nextBroker,
+    credentials: nextCredentials,
+    socket: null,
+    status: "disconnected",
+    // socket.io ids of the clients subscribed to this account's order updates
+    holders: previous?.holders || new Set(),
+  };
+  upstreams.set(key, upstream);
+  if (nextBroker === "mock") {
+    startMock(upstream);
+  } else {
+    connectNoren(upstream);
+  }
+  return { ...getStatus(), account: describeUpstream(upstream) };
+}
+
+// ===> Order updates for a session's account: connect its upstream unless one
+// is already up or on its way, or it failed with a token the session replaced
+function ensureAccount(broker, credentials) {
+  if (!config.marketData.urls[broker] || !credentials?.usersession || !credentials.userid) {
+    return;
+  }
+
+  const upstream = upstreams.get(accountKey(broker, credentials));
+  const stale =
+    upstream?.status === "login failed" &&
+    upstream.credentials.usersession !== credentials.usersession;
+  if (!upstream || stale) connect(broker, credentials);
+}
+
+function subscribe(socket, items) {
+  const added = [];
+  for (const key of [].concat(items).map(toKey).filter(Boolean)) {
+    if (socket.rooms.has(key)) continue;
+    socket.join(key);
+    subscriptions.set(key, (subscriptions.get(key) || 0) + 1);
+    if (subscriptions.get(key) === 1) added.push(key);
+    if (quotes.has(key)) socket.emit("tick", quotes.get(key));
+  }
+  subscribeUpstream(added);
+}
+
+// One subscriber less; true when that was the last one
+function release(key) {
+  const count = subscriptions.get(key) - 1;
+  if (count > 0) {
+    subscriptions.set(key, count);
+    return false;
+  }
+  subscriptions.delete(key);
+  quotes.delete(key);
+  return true;
+}
+
+function unsubscribe(socket, items) {
+  const removed = [];
+  for (const key of [].concat(items).map(toKey).filter(Boolean)) {
+    if (!socket.rooms.has(key)) continue;
+    socket.leave(key);
+    if (release(key)) removed.push(key);
+  }
+  unsubscribeUpstream(removed);
+  if (removed.length > 0 && subscriptions.size === 0) closeIdleUpstreams();
+}
+
+function expireWatches() {
+  const removed = [];
+  for (const [key, expiresAt] of watched) {
+    if (expiresAt > Date.now()) continue;
+    watched.delete(key);
+    if (release(key)) removed.push(key);
+  }
+  unsubscribeUpstream(removed);
+  if (removed.length > 0 && subscriptions.size === 0) closeIdleUpstreams();
+  if (watched.size === 0) {
+    clearInterval(watchTimer);
+    watchTimer = null;
+  }
+}
+
+// ===> Subscribe keys on the server's behalf for ttlMs (renewed by each call).
+// Resolves with the number of newly subscribed keys, once they have a first
+// quote or after waitMs.
+function watch(items, { ttlMs, waitMs = 0 }) {
+  const keys = [].concat(items).map(toKey).filter(Boolean);
+  const added = [];
+  for (const key of keys) {
+    if (!watched.has(key)) {
+      subscriptions.set(key, (subscriptions.get(key) || 0) + 1);
+      if (subscriptions.get(key) === 1) added.push(key);
+    }
+    watched.set(key, Date.now() + ttlMs);
+  }
+  subscribeUpstream(added);
+  if (!watchTimer && watched.size > 0) {
+    watchTimer = setInterval(expireWatches, Math.min(ttlMs, 60 * 1000));
+    watchTimer.unref();
+  }
+
+  const pending = () => added.filter((key) => !quotes.has(key));
+  if (!feed || pending().length === 0 || !(waitMs > 0)) {
+    return Promise.resolve(added.length);
+  }
+  const deadline = Date.now() + waitMs;
+  return new Promise((resolve) => {
+    const timer = setInterval(() => {
+      if (pending().length > 0 && Date.now() < deadline) return;
+      clearInterval(timer);
+      resolve(added.length);
+    }, 50);
+  });
+}
+
+// ===> Serve browser clients from a socket.io server
+function attach(server) {
+  io = server;
+  io.on("connection", (socket) => {
+    // Account connections this client holds, by broker
+    const heldAccounts = new Map();
+
+    socket.emit("status", getStatus());
+    socket.on("subscribe", (items) => subscribe(socket, items));
+    socket.on("unsubscribe", (items) => unsubscribe(socket, items));
+    // orderUpdates joins the socket to the account's room; this makes sure
+    // the account's websocket is there to receive them
+    socket.on("subscribeOrders", (broker) => {
+      const session = sessionStore.getSession(socket.handshake.auth?.sessionId);
+      const credentials = sessionStore.getBrokerCredentials(session, broker);
+      ensureAccount(broker, credentials);
+
+      const upstream = credentials && upstreams.get(accountKey(broker, credentials));
+      if (!upstream) return;
+      if (heldAccounts.has(broker) && heldAccounts.get(broker) !== upstream.key) {
+        releaseAccount(socket.id, heldAccounts.get(broker));
+      }
+      upstream.holders.add(socket.id);
+      heldAccounts.set(broker, upstream.key);
+      socket.emit("accountStatus", describeUpstream(upstream));
+    });
+    socket.on("unsubscribeOrders", (broker) => {
+      if (heldAccounts.has(broker)) releaseAccount(socket.id, heldAccounts.get(broker));
+      heldAccounts.delete(broker);
+    });
+    // Rooms are already gone by "disconnect", so release them just before.
+    // Order update rooms are not market data subscriptions.
+    socket.on("disconnecting", () => {
+      unsubscribe(
+        socket,
+        Array.from(socket.rooms).filter(
+          (room) => room !== socket.id && subscriptions.has(room)
+        )
+      );
+      heldAccounts.forEach((key) => releaseAccount(socket.id, key));
+    });
+  });
+}
+
+module.exports = {
+  attach,
+  connect,
+  disconnect,
+  getStatus,
+  getAccountStatus,
+  getQuote,
+  watch,
+};
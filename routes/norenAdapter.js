@@ -0,0 +1,116 @@
+const axios = require("axios");
+const NodeCache = require("node-cache");
+const {
+  normalizeNorenPositions,
+  normalizeNorenHoldings,
+} = require("./normalizers");
+const { getLotSize } = require("./symbolLoaders");
+const { isSessionExpired } = require("./brokerSession");
+const sessionStore = require("./sessionStore");
+const instrumentIndex = require("./instrumentIndex");
+
+// Freeze quantities change at most once a day
+const freezeQtyCache = new NodeCache({ stdTTL: 12 * 60 * 60 });
+
+// ===> Broker adapter for Noren (NorenOMS) based brokers.
+// Every adapter exposes the same methods so routers can stay broker agnostic:
+//   getFunds, getOrderBook, getTradeBook, getPositions, getHoldings,
+//   placeOrder, modifyOrder, cancelOrder, getSymbols, getLotSize, getFreezeQty,
+//   getOptionGreek
+// `auth` is always { jKey, clientId }.
+module.exports = ({ name, baseUrl, loadSymbols }) => {
+  async function request(endpoint, jKey, jData) {
+    const payload = `jKey=${jKey}&jData=${JSON.stringify(jData)}`;
+    const response = await axios.post(`${baseUrl}/${endpoint}`, payload, {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+    // Also covers calls made without a request, like stop-loss exits
+    if (isSessionExpired(response.data)) {
+      sessionStore.markTokenExpired(name, jKey);
+    }
+    return response.data;
+  }
+
+  return {
+    name,
+
+    getFunds({ jKey, clientId }) {
+      return request("Limits", jKey, { uid: clientId, actid: clientId });
+    },
+
+    getOrderBook({ jKey, clientId }) {
+      return request("OrderBook", jKey, { uid: clientId, prd: "M" });
+    },
+
+    getTradeBook({ jKey, clientId }) {
+      return request("TradeBook", jKey, { uid: clientId, actid: clientId });
+    },
+
+    async getPositions({ jKey, clientId }) {
+      const data = await request("PositionBook", jKey, {
+        uid: clientId,
+        actid: clientId,
+      });
+      return normalizeNorenPositions(data);
+    },
+
+    async getHoldings({ jKey, clientId }) {
+      const data = await request("Holdings", jKey, {
+        uid: clientId,
+        actid: clientId,
+        prd: "C",
+      });
+      return normalizeNorenHoldings(data);
+    },
+
+    placeOrder({ jKey, clientId }, order) {
+      return request("PlaceOrder", jKey, {
+        uid: clientId,
+        actid: clientId,
+        ...order,
+      });
+    },
+
+    modifyOrder({ jKey, clientId }, order) {
+      return request("ModifyOrder", jKey, { uid: clientId, ...order });
+    },
+
+    cancelOrder({ jKey, clientId }, { norenordno }) {
+      return request("CancelOrder", jKey, { uid: clientId, norenordno });
+    },
+
+    getSymbols(exchangeSymbol, masterSymbol) {
+      return loadSymbols(exchangeSymbol, masterSymbol);
+    },
+
+    getLotSize(tsym) {
+      return getLotSize(name, tsym);
+    },
+
+    // Exchange freeze quantity from GetSecurityInfo, cached; null
+    // when the exchange sets none or the symbol is not in the scrip master
+    async getFreezeQty({ jKey, clientId }, { exch, tsym }) {
+      const cacheKey = `${name}|${exch}|${tsym}`;
+      if (freezeQtyCache.has(cacheKey)) return freezeQtyCache.get(cacheKey);
+
+      const instrument = await instrumentIndex.getBySymbol(name, tsym);
+      if (!instrument) return null;
+      const info = await request("GetSecurityInfo", jKey, {
+        uid: clientId,
+        exch: exch || instrument.exchange,
+        token: instrument.token,
+      });
+      if (info?.stat !== "Ok") return null;
+
+      const freezeQty = parseInt(info.frzqty) || null;
+      freezeQtyCache.set(cacheKey, freezeQty);
+      return freezeQty;
+    },
+
+    getOptionGreek({ jKey }, params) {
+      return request("GetOptionGreek", jKey, params);
+    },
+  };
+};
@@ -0,0 +1,83 @@
+// ===> Common shapes for broker positions and holdings
+// { symbol, exchange, token, product, netQty, avgPrice, ltp, realizedMtm, unrealizedMtm }
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? 0 : number;
+}
+
+// Noren answers an empty book with { stat: "Not_Ok", emsg: "no data" }
+function isEmptyBook(data) {
+  return data?.stat === "Not_Ok" && /no data/i.test(data.emsg || "");
+}
+
+// Other Noren errors are passed through so the caller sees the emsg
+function isNorenError(data) {
+  return !Array.isArray(data) && data?.stat === "Not_Ok";
+}
+
+function normalizeNorenPositions(data) {
+  if (isEmptyBook(data)) return [];
+  if (isNorenError(data)) return data;
+
+  return data.map((position) => ({
+    symbol: position.tsym,
+    exchange: position.exch,
+    token: position.token,
+    product: position.prd,
+    netQty: toNumber(position.netqty),
+    avgPrice: toNumber(position.netavgprc || position.netupldprc),
+    ltp: toNumber(position.lp),
+    realizedMtm: toNumber(position.rpnl),
+    unrealizedMtm: toNumber(position.urmtom),
+  }));
+}
+
+function normalizeNorenHoldings(data) {
+  if (isEmptyBook(data)) return [];
+  if (isNorenError(data)) return data;
+
+  return data.map((holding) => {
+    // A holding lists the same scrip on every exchange it trades on; the first is used
+    const scrip = holding.exch_tsym?.[0] || {};
+    const netQty =
+      toNumber(holding.holdqty) +
+      toNumber(holding.dpqty) +
+      toNumber(holding.btstqty) -
+      toNumber(holding.usedqty);
+    const avgPrice = toNumber(holding.upldprc);
+    const ltp = scrip.lp !== undefined ? toNumber(scrip.lp) : null;
+
+    return {
+      symbol: scrip.tsym,
+      exchange: scrip.exch,
+      token: scrip.token,
+      product: "C",
+      netQty,
+      avgPrice,
+      ltp,
+      realizedMtm: 0,
+      unrealizedMtm: ltp !== null ? (ltp - avgPrice) * netQty : null,
+    };
+  });
+}
+
+function normalizeVirtualPositions(positions) {
+  return positions.map((position) => ({
+    symbol: position.tsym,
+    exchange: position.exch,
+    token: position.token,
+    product: position.prd,
+    netQty: position.netqty,
+    avgPrice: position.netavgprc,
+    ltp: position.lp,
+    realizedMtm: position.rpnl,
+    unrealizedMtm: position.urmtom,
+  }));
+}
+
+module.exports = {
+  normalizeNorenPositions,
+  normalizeNorenHoldings,
+  normalizeVirtualPositions,
+};
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const { buildOptionChain } = require("./optionChainBuilder");
+
+module.exports = () => {
+  // ===> Option Chain (?underlying=NIFTY&expiry=&broker=&strikeCount=&spot=&spotKey=&exchange=)
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await buildOptionChain(req.query));
+    } catch (error) {
+      res.status(400).json({
+        message: "Error building option chain",
+        error: error.message,
+      });
+      console.error("Error building option chain:", error.message);
+    }
+  });
+
+  return router;
+};
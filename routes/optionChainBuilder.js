@@ -0,0 +1,233 @@
+const { format } = require("date-fns");
+const config = require("../config");
+const instrumentIndex = require("./instrumentIndex");
+const priceFeed = require("./priceFeed");
+const marketDataHub = require("./marketDataHub");
+const { masterFor } = require("./symbolMapper");
+
+// ===> Local option chain.
+// The strike ladder for an underlying and expiry comes from the scrip master;
+// prices come from the market data hub (quotes of subscribed keys) with the
+// shared price feed as a fallback, so the chain works for every broker,
+// including the virtual one. Building a chain subscribes its legs, the future
+// used for spot and spotKey on the hub for a while, so the first call waits
+// briefly for their quotes and later calls find them live. Legs carry their
+// "NFO|43651" key for clients that want ticks over socket.io.
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function quoteFor(instrument) {
+  const key = `${instrument.exchange}|${instrument.token}`;
+  const quote = marketDataHub.getQuote(key) || {};
+  return {
+    key,
+    ltp: toNumber(quote.lp) ?? priceFeed.getLastPrice(instrument.tradingSymbol) ?? null,
+    close: toNumber(quote.c),
+    oi: toNumber(quote.oi),
+    previousOi: toNumber(quote.poi),
+    volume: toNumber(quote.v),
+    bid: toNumber(quote.bp1),
+    ask: toNumber(quote.sp1),
+  };
+}
+
+function buildLeg(instrument) {
+  if (!instrument) return null;
+  const quote = quoteFor(instrument);
+  const change =
+    quote.ltp !== null && quote.close ? quote.ltp - quote.close : null;
+
+  return {
+    tradingSymbol: instrument.tradingSymbol,
+    token: instrument.token,
+    key: quote.key,
+    lotSize: instrument.lotSize,
+    ltp: quote.ltp,
+    change: change !== null ? +change.toFixed(2) : null,
+    changePercent:
+      change !== null ? +((change / quote.close) * 100).toFixed(2) : null,
+    oi: quote.oi,
+    oiChange:
+      quote.oi !== null && quote.previousOi !== null
+        ? quote.oi - quote.previousOi
+        : null,
+    volume: quote.volume,
+    bid: quote.bid,
+    ask: quote.ask,
+  };
+}
+
+// The future of the same expiry, else the nearest later one, else the first
+function nearestFuture(futures, expiry) {
+  return (
+    futures.find((item) => item.expiry === expiry) ||
+    futures.find((item) => item.expiry >= expiry) ||
+    futures[0]
+  );
+}
+
+// Spot from, in order: the caller, a quote key the caller names (an index
+// like "NSE|26000"), the future of the same or the nearest expiry, a price
+// published for the underlying itself, and finally put-call parity at the
+// strike where call and put are closest in price. The last two are forward
+// prices, which already carry the cost of holding the underlying.
+function findSpot({ spot, spotKey, underlying }, future, rows) {
+  if (toNumber(spot) !== null) return { spot: toNumber(spot), source: "request" };
+
+  const keyQuote = spotKey && toNumber(marketDataHub.getQuote(spotKey)?.lp);
+  if (keyQuote) return { spot: keyQuote, source: spotKey.toUpperCase() };
+
+  const futurePrice = future && quoteFor(future).ltp;
+  if (futurePrice) {
+    return { spot: futurePrice, source: future.tradingSymbol, forward: true };
+  }
+
+  const underlyingPrice = priceFeed.getLastPrice(underlying);
+  if (underlyingPrice) return { spot: underlyingPrice, source: underlying };
+
+  const priced = rows.filter((row) => row.ce?.ltp && row.pe?.ltp);
+  if (priced.length > 0) {
+    const closest = priced.reduce((best, row) =>
+      Math.abs(row.ce.ltp - row.pe.ltp) < Math.abs(best.ce.ltp - best.pe.ltp)
+        ? row
+        : best
+    );
+    return {
+      spot: +(closest.strike + closest.ce.ltp - closest.pe.ltp).toFixed(2),
+      source: "parity",
+      forward: true,
+    };
+  }
+  return { spot: null, source: null };
+}
+
+// A spotKey gets subscribed on the hub, so it has to be an instrument of the
+// scrip master; returns it as that instrument's key
+async function resolveSpotKey(master, spotKey) {
+  if (!spotKey) return null;
+  const [exchange, token] = spotKey.toString().split("|");
+  const instrument = token
+    ? await instrumentIndex.getByToken(master, exchange, token)
+    : null;
+  if (!instrument) {
+    throw new Error(`spotKey ${spotKey} is not in the ${master} scrip master`);
+  }
+  return `${instrument.exchange}|${instrument.token}`;
+}
+
+// Rows from strikeCount strikes below ATM to strikeCount above it. ATM is the
+// strike nearest the spot, or the middle one without a spot; strikeCount is
+// kept between 1 and the configured maximum.
+function strikeWindow(allRows, spotPrice, strikeCount) {
+  const atmIndex =
+    spotPrice !== null
+      ? allRows.reduce(
+          (best, row, index) =>
+            Math.abs(row.strike - spotPrice) <
+            Math.abs(allRows[best].strike - spotPrice)
+              ? index
+              : best,
+          0
+        )
+      : Math.floor(allRows.length / 2);
+  const requested = parseInt(strikeCount) || config.optionChain.strikeCount;
+  const count = Math.min(Math.max(requested, 1), config.optionChain.maxStrikeCount);
+  const rows = allRows.slice(Math.max(atmIndex - count, 0), atmIndex + count + 1);
+  return { atmIndex, count, rows };
+}
+
+// Strike ladder around ATM with both legs per strike, and the quote keys it
+// was priced from
+async function assembleChain({
+  broker = "flattrade",
+  underlying,
+  exchange,
+  expiry,
+  strikeCount,
+  spot,
+  spotKey,
+}) {
+  if (!underlying) throw new Error("underlying is required");
+
+  const master = masterFor(broker);
+  const spotQuoteKey = await resolveSpotKey(master, spotKey);
+  const instruments = await instrumentIndex.filter(master, {
+    underlying,
+    exchange,
+  });
+  const options = instruments.filter((item) => item.optionType && item.expiry);
+  if (options.length === 0) {
+    throw new Error(`No options found for ${underlying.toUpperCase()}`);
+  }
+
+  const today = format(new Date(), "yyyy-MM-dd");
+  const expiries = Array.from(new Set(options.map((item) => item.expiry)))
+    .filter((item) => item >= today)
+    .sort();
+  const chainExpiry = expiry ? instrumentIndex.toIsoExpiry(expiry) : expiries[0];
+  if (!chainExpiry || !expiries.includes(chainExpiry)) {
+    throw new Error(`No ${underlying.toUpperCase()} options expire on ${expiry}`);
+  }
+
+  // Instruments come sorted by expiry and strike
+  const byStrike = new Map();
+  for (const item of options.filter((option) => option.expiry === chainExpiry)) {
+    const row = byStrike.get(item.strike) || { strike: item.strike };
+    row[item.optionType === "CE" ? "ce" : "pe"] = item;
+    byStrike.set(item.strike, row);
+  }
+  const allRows = Array.from(byStrike.values()).map((row) => ({
+    strike: row.strike,
+    ce: buildLeg(row.ce),
+    pe: buildLeg(row.pe),
+  }));
+
+  const futures = instruments.filter(
+    (item) => !item.optionType && item.expiry && item.expiry >= today
+  );
+  const future = nearestFuture(futures, chainExpiry);
+  const { spot: spotPrice, source, forward = false } = findSpot(
+    { spot, spotKey: spotQuoteKey, underlying: underlying.toUpperCase() },
+    future,
+    allRows
+  );
+
+  const { atmIndex, count, rows } = strikeWindow(allRows, spotPrice, strikeCount);
+  const keys = [
+    ...rows.flatMap((row) => [row.ce?.key, row.pe?.key]),
+    future && quoteFor(future).key,
+    spotQuoteKey,
+  ].filter(Boolean);
+
+  return {
+    keys,
+    broker,
+    underlying: underlying.toUpperCase(),
+    exchange: options[0].exchange,
+    expiry: chainExpiry,
+    expiries,
+    spot: spotPrice,
+    spotSource: source,
+    spotIsForward: forward,
+    atmStrike: allRows[atmIndex].strike,
+    strikeCount: count,
+    rows,
+  };
+}
+
+// ===> Strike ladder around ATM with both legs per strike. Keys the hub was not
+// subscribed to yet get a first quote before the chain is priced again.
+async function buildOptionChain(query) {
+  const first = await assembleChain(query);
+  const added = await marketDataHub.watch(first.keys, {
+    ttlMs: config.optionChain.watchMs,
+    waitMs: config.optionChain.quoteWaitMs,
+  });
+  const { keys, ...chain } = added > 0 ? await assembleChain(query) : first;
+  return chain;
+}
+
+module.exports = { buildOptionChain, quoteFor, strikeWindow };
@@ -0,0 +1,203 @@
+const config = require("../config");
+const instrumentIndex = require("./instrumentIndex");
+const blackScholes = require("./blackScholes");
+const { buildOptionChain, quoteFor } = require("./optionChainBuilder");
+const { masterFor } = require("./symbolMapper");
+
+// ===> Local greeks for contracts and chains.
+// Contracts are looked up in the scrip master for their strike, type and
+// expiry (or given outright for hypothetical ones). Volatility is implied from
+// the premium (given, or the live LTP) unless an iv is passed. iv in and out
+// is in percent, like the brokers' GetOptionGreek.
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+function round(value, digits = 4) {
+  return value === null || value === undefined || isNaN(value)
+    ? null
+    : +value.toFixed(digits);
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// Contracts expire at expiryTimeUtc on their expiry date (yyyy-MM-dd)
+function expiryTime(expiry) {
+  const [hours, minutes] = config.greeks.expiryTimeUtc.split(":").map(Number);
+  const expiresAt = new Date(`${expiry}T00:00:00Z`);
+  expiresAt.setUTCHours(hours, minutes || 0, 0, 0);
+  return expiresAt;
+}
+
+// Years from now until the contract expires
+function timeToExpiry(expiry, now = new Date()) {
+  return Math.max((expiryTime(expiry) - now) / YEAR_MS, 0);
+}
+
+// The scrip master instrument for { tsym } or { underlying, expiry, strike,
+// optionType }; falls back to the given fields for contracts not listed
+async function resolveContract(broker, contract) {
+  const master = masterFor(broker);
+  if (contract.tsym) {
+    const instrument = await instrumentIndex.getBySymbol(master, contract.tsym);
+    if (!instrument) throw new Error(`Instrument ${contract.tsym} not found`);
+    return instrument;
+  }
+
+  const { underlying, expiry, strike, optionType } = contract;
+  if (!expiry || strike === undefined || !optionType) {
+    throw new Error("Give tsym, or expiry, strike and optionType");
+  }
+  const [instrument] = underlying
+    ? await instrumentIndex.filter(master, { underlying, expiry, strike, optionType })
+    : [];
+  return (
+    instrument || {
+      tradingSymbol: null,
+      optionType: optionType.toUpperCase(),
+      strike: parseFloat(strike),
+      expiry: instrumentIndex.toIsoExpiry(expiry),
+    }
+  );
+}
+
+// ===> Premium, iv and greeks of one option. inputs: { optionType, strike,
+// expiry (yyyy-MM-dd), spot, premium?, iv? (percent), rate?, dividendYield?,
+// now? }
+function computeGreeks(inputs) {
+  const spot = toNumber(inputs.spot);
+  if (!spot) throw new Error("spot is required");
+  if (!inputs.expiry) throw new Error("expiry is required");
+
+  const rate = toNumber(inputs.rate) ?? config.greeks.riskFreeRate;
+  const dividendYield = toNumber(inputs.dividendYield) ?? config.greeks.dividendYield;
+  const time = timeToExpiry(inputs.expiry, inputs.now);
+  const contract = {
+    optionType: inputs.optionType,
+    spot,
+    strike: toNumber(inputs.strike),
+    time,
+    rate,
+    dividendYield,
+  };
+
+  const premium = toNumber(inputs.premium);
+  const volatility =
+    toNumber(inputs.iv) !== null
+      ? toNumber(inputs.iv) / 100
+      : blackScholes.impliedVolatility({ ...contract, premium });
+  if (volatility === null && time > 0) {
+    throw new Error(
+      premium
+        ? `No volatility matches premium ${premium}`
+        : "Give a premium or an iv, no live price found"
+    );
+  }
+
+  const result = blackScholes.greeks({ ...contract, volatility: volatility || 0 });
+  return {
+    spot,
+    timeToExpiry: round(time, 6),
+    premium,
+    iv: round(volatility * 100, 2),
+    theoreticalPrice: round(result.price, 2),
+    delta: round(result.delta),
+    gamma: round(result.gamma, 6),
+    theta: round(result.theta),
+    vega: round(result.vega),
+    rho: round(result.rho),
+  };
+}
+
+// ===> Greeks of each contract; one contract failing does not fail the rest
+async function contractGreeks({ broker = "flattrade", contracts = [], spot, rate, dividendYield }) {
+  return Promise.all(
+    contracts.map(async (contract) => {
+      try {
+        const instrument = await resolveContract(broker, contract);
+        const premium =
+          contract.price ??
+          (instrument.token ? quoteFor(instrument).ltp : null);
+        return {
+          tradingSymbol: instrument.tradingSymbol,
+          optionType: instrument.optionType,
+          strike: instrument.strike,
+          expiry: instrument.expiry,
+          ...computeGreeks({
+            optionType: instrument.optionType,
+            strike: instrument.strike,
+            expiry: instrument.expiry,
+            spot: contract.spot ?? spot,
+            premium,
+            iv: contract.iv,
+            rate,
+            dividendYield,
+          }),
+        };
+      } catch (error) {
+        return { ...contract, error: error.message };
+      }
+    })
+  );
+}
+
+// ===> Greeks for every leg of a local option chain with a live price
+async function chainGreeks({ rate, dividendYield, ...query }) {
+  const chain = await buildOptionChain(query);
+  if (!chain.spot) {
+    throw new Error("No spot price for the chain, pass spot or spotKey");
+  }
+
+  // A futures or parity spot is a forward price: pricing with a dividend
+  // yield equal to the rate makes Black-Scholes the Black-76 futures model
+  const forwardYield =
+    chain.spotIsForward && dividendYield === undefined
+      ? toNumber(rate) ?? config.greeks.riskFreeRate
+      : dividendYield;
+
+  const legGreeks = (leg, strike, optionType) => {
+    if (!leg) return null;
+    try {
+      return {
+        tradingSymbol: leg.tradingSymbol,
+        ...computeGreeks({
+          optionType,
+          strike,
+          expiry: chain.expiry,
+          spot: chain.spot,
+          premium: leg.ltp,
+          rate,
+          dividendYield: forwardYield,
+        }),
+      };
+    } catch (error) {
+      return { tradingSymbol: leg.tradingSymbol, error: error.message };
+    }
+  };
+
+  return {
+    broker: chain.broker,
+    underlying: chain.underlying,
+    expiry: chain.expiry,
+    spot: chain.spot,
+    spotSource: chain.spotSource,
+    spotIsForward: chain.spotIsForward,
+    atmStrike: chain.atmStrike,
+    rows: chain.rows.map((row) => ({
+      strike: row.strike,
+      ce: legGreeks(row.ce, row.strike, "CE"),
+      pe: legGreeks(row.pe, row.strike, "PE"),
+    })),
+  };
+}
+
+module.exports = {
+  expiryTime,
+  timeToExpiry,
+  resolveContract,
+  computeGreeks,
+  contractGreeks,
+  chainGreeks,
+};
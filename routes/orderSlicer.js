@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+const config = require("../config");
+const { getUnderlying, resolveLotSize } = require("./symbolNames");
+
+// ===> Freeze quantity slicing: orders above the exchange freeze limit are
+// split into child orders of whole lots and placed one after another.
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Freeze quantity from the broker's security info, else config (indices)
+async function resolveFreezeQty(adapter, auth, order) {
+  let freezeQty = null;
+  if (adapter.getFreezeQty) {
+    try {
+      freezeQty = await adapter.getFreezeQty(auth, order);
+    } catch (error) {
+      console.error(`Error fetching freeze quantity of ${order.tsym}:`, error.message);
+    }
+  }
+  return freezeQty || config.risk.freezeQty[getUnderlying(order.tsym)] || null;
+}
+
+// Largest whole-lot quantity that fits under the freeze limit
+function sliceQuantities(qty, freezeQty, lotSize) {
+  const sliceQty = Math.max(Math.floor(freezeQty / lotSize), 1) * lotSize;
+  const slices = [];
+  for (let remaining = qty; remaining > 0; remaining -= sliceQty) {
+    slices.push(Math.min(sliceQty, remaining));
+  }
+  return slices;
+}
+
+// ===> Place an order, slicing it if needed. Unsliced orders return the broker
+// response untouched; sliced ones return the parent/child mapping.
+async function placeSlicedOrder(adapter, auth, order) {
+  const qty = parseInt(order.qty);
+  const freezeQty = await resolveFreezeQty(adapter, auth, order);
+
+  if (!freezeQty || !(qty > freezeQty)) {
+    return adapter.placeOrder(auth, order);
+  }
+
+  const lotSize = await resolveLotSize(adapter, order.tsym);
+  const slices = sliceQuantities(qty, freezeQty, lotSize);
+  const parentId = crypto.randomUUID();
+  const children = [];
+  let failed = false;
+
+  for (const [index, sliceQty] of slices.entries()) {
+    if (failed) {
+      children.push({ qty: sliceQty, status: "skipped" });
+      continue;
+    }
+    if (index > 0) await wait(config.risk.sliceIntervalMs);
+
+    try {
+      const response = await adapter.placeOrder(auth, {
+        ...order,
+        qty: sliceQty.toString(),
+      });
+      failed = response?.stat !== "Ok";
+      children.push({
+        qty: sliceQty,
+        status: failed ? "rejected" : "placed",
+        norenordno: response?.norenordno,
+        response,
+      });
+    } catch (error) {
+      failed = true;
+      children.push({ qty: sliceQty, status: "error", error: error.message });
+    }
+  }
+
+  console.log(`\nSliced ${order.tsym} x ${qty} into`, slices, "parent", parentId);
+  return {
+    stat: failed ? "Not_Ok" : "Ok",
+    norenordno: children[0].norenordno,
+    parentId,
+    parent: { tsym: order.tsym, qty, freezeQty, lotSize },
+    children,
+  };
+}
+
+module.exports = { placeSlicedOrder, sliceQuantities };
@@ -0,0 +1,112 @@
+// ===> Order update push.
+// Real broker updates arrive as Noren "om" messages on the market data hub's
+// websocket; virtual ones come from the virtual engine's orderEvents. Both are
+// normalized here and sent to socket.io clients subscribed to that account.
+//
+// Client events: "subscribeOrders" / "unsubscribeOrders" with a broker name.
+// Real broker accounts come from the session id given in the socket.io
+// handshake (auth.sessionId), so clients only ever see their own orders.
+// Server event: "order" with { broker, event, norenordno, status, ... }.
+
+const sessionStore = require("./sessionStore");
+
+const BROKERS = ["flattrade", "shoonya", "virtual"];
+
+let io = null;
+
+// Noren reporttype and virtual history rpt values, to one event name
+const REPORT_EVENTS = {
+  New: "placed",
+  NewAck: "placed",
+  PendingNew: "placed",
+  Replaced: "modified",
+  ModAck: "modified",
+  Modified: "modified",
+  Triggered: "triggered",
+  Rejected: "rejected",
+  ModRejected: "rejected",
+  Canceled: "cancelled",
+  Cancelled: "cancelled",
+  CanceledAck: "cancelled",
+};
+
+function toEvent(update) {
+  const report = update.reporttype || update.rpt;
+  const status = (update.status || "").toUpperCase();
+
+  if (report === "Fill") {
+    return status === "COMPLETE" ? "filled" : "partially filled";
+  }
+  if (REPORT_EVENTS[report]) return REPORT_EVENTS[report];
+  if (status === "COMPLETE") return "filled";
+  if (status === "REJECTED") return "rejected";
+  if (status.startsWith("CANCEL")) return "cancelled";
+  return "updated";
+}
+
+function normalize(broker, update) {
+  return {
+    broker,
+    event: toEvent(update),
+    norenordno: update.norenordno?.toString(),
+    status: update.status,
+    exch: update.exch,
+    tsym: update.tsym,
+    trantype: update.trantype,
+    prctyp: update.prctyp,
+    prd: update.prd,
+    qty: parseInt(update.qty) || 0,
+    prc: parseFloat(update.prc) || 0,
+    trgprc: parseFloat(update.trgprc) || 0,
+    fillshares: parseInt(update.fillshares) || 0,
+    avgprc: parseFloat(update.avgprc) || 0,
+    flqty: update.flqty !== undefined ? parseInt(update.flqty) : undefined,
+    flprc: update.flprc !== undefined ? parseFloat(update.flprc) : undefined,
+    rejreason: update.rejreason,
+    time: update.time || update.exch_tm || update.norentm,
+  };
+}
+
+// The virtual broker is one shared paper account
+function roomFor(broker, clientId) {
+  return broker === "virtual" ? "orders:virtual" : `orders:${broker}:${clientId}`;
+}
+
+// ===> Send one broker order update to subscribed clients
+function publish(broker, update) {
+  const message = normalize(broker, update);
+  console.log(`\nOrder update (${broker}):`, message.norenordno, message.event);
+  io?.to(roomFor(broker, update.actid || update.uid)).emit("order", message);
+  return message;
+}
+
+function attach(server) {
+  io = server;
+  io.on("connection", (socket) => {
+    const { sessionId } = socket.handshake.auth || {};
+    const clientRooms = new Map();
+
+    socket.on("subscribeOrders", (broker) => {
+      if (!BROKERS.includes(broker)) return;
+      const credentials = sessionStore.getBrokerCredentials(
+        sessionStore.getSession(sessionId),
+        broker
+      );
+      if (broker !== "virtual" && !credentials) {
+        return socket.emit("orderError", {
+          broker,
+          message: "No broker session for this socket, log in first",
+        });
+      }
+      const room = roomFor(broker, credentials?.userid);
+      clientRooms.set(broker, room);
+      socket.join(room);
+    });
+    socket.on("unsubscribeOrders", (broker) => {
+      if (clientRooms.has(broker)) socket.leave(clientRooms.get(broker));
+      clientRooms.delete(broker);
+    });
+  });
+}
+
+module.exports = { attach, publish, roomFor };
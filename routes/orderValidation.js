@@ -0,0 +1,29 @@
+// ===> Field checks shared by the broker order routes.
+// Each validator returns an error message, or null when the request is fine.
+
+const PRICE_TYPES = ["LMT", "MKT", "SL-LMT", "SL-MKT"];
+
+function validateModifyOrder(params) {
+  const missing = ["norenordno", "exch", "tsym", "qty", "prctyp"].filter(
+    (field) => params[field] === undefined || params[field] === ""
+  );
+  if (missing.length > 0) {
+    return `Missing required fields: ${missing.join(", ")}`;
+  }
+
+  if (!PRICE_TYPES.includes(params.prctyp)) {
+    return `Invalid prctyp ${params.prctyp}. Must be one of ${PRICE_TYPES.join(", ")}`;
+  }
+  if (!(parseInt(params.qty) > 0)) {
+    return "qty must be a positive number";
+  }
+  if (["LMT", "SL-LMT"].includes(params.prctyp) && !(parseFloat(params.prc) > 0)) {
+    return `prc must be a positive number for ${params.prctyp} orders`;
+  }
+  if (["SL-LMT", "SL-MKT"].includes(params.prctyp) && !(parseFloat(params.trgprc) > 0)) {
+    return `trgprc must be a positive number for ${params.prctyp} orders`;
+  }
+  return null;
+}
+
+module.exports = { validateModifyOrder };
@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const { getAdapter } = require("./brokerAdapters");
+const { analyzePortfolio } = require("./portfolioAnalysis");
+
+module.exports = (sessionStore) => {
+  // Open positions of the broker account on the caller's session, as legs
+  async function loadPositionLegs(req, broker) {
+    const adapter = getAdapter(broker);
+    if (!adapter) throw new Error(`Unknown broker: ${broker}`);
+
+    const credentials = sessionStore.getBrokerCredentials(req.userSession, broker);
+    if (adapter.name !== "virtual" && !credentials) {
+      throw new Error(`No ${broker} session, log in first or pass legs`);
+    }
+    const positions = await adapter.getPositions({
+      jKey: credentials?.usersession,
+      clientId: credentials?.userid,
+    });
+    if (!Array.isArray(positions)) {
+      throw new Error(positions?.emsg || `Could not load ${broker} positions`);
+    }
+
+    return positions
+      .filter((position) => position.netQty !== 0)
+      .map((position) => ({
+        tsym: position.symbol,
+        qty: position.netQty,
+        price: position.avgPrice,
+        ltp: position.ltp || undefined,
+      }));
+  }
+
+  // ===> Portfolio Analysis
+  // { broker, legs?: [{ tsym | underlying, expiry, strike, optionType; qty,
+  //   side?, price, ltp?, iv? }], underlying?, spot?, spotKey?, rate?,
+  //   dividendYield?, range?, days?, ivShifts? }
+  // Without legs, the open positions of the broker account are analyzed.
+  router.post("/analysis", async (req, res) => {
+    const { legs, broker = "virtual" } = req.body;
+
+    try {
+      const analysisLegs = legs || (await loadPositionLegs(req, broker));
+      res.json(
+        await analyzePortfolio(analysisLegs, {
+          ...req.body,
+          // Hypothetical legs without a broker are looked up in Flattrade's master
+          broker: legs && !req.body.broker ? "flattrade" : broker,
+        })
+      );
+    } catch (error) {
+      res.status(400).json({
+        message: "Error analyzing portfolio",
+        error: error.message,
+      });
+      console.error("Error analyzing portfolio:", error.message);
+    }
+  });
+
+  return router;
+};
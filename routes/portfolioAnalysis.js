@@ -0,0 +1,305 @@
+const config = require("../config");
+const instrumentIndex = require("./instrumentIndex");
+const blackScholes = require("./blackScholes");
+const { buildOptionChain, quoteFor } = require("./optionChainBuilder");
+const { masterFor } = require("./symbolMapper");
+const { expiryTime, timeToExpiry, resolveContract } = require("./optionGreeks");
+
+// ===> Portfolio greeks and payoff.
+// Legs are options, futures or cash of one underlying, with a signed quantity
+// in units (negative for short) and an entry price. Each option leg gets a
+// volatility (given, or implied from its LTP) and is then revalued across a
+// range of spot prices: at the nearest expiry, and today or n days ahead with
+// the volatility shifted by a few points. Futures and cash move one for one
+// with the spot. A leg whose volatility can't be implied is valued at
+// intrinsic value and flagged with a warning instead of failing the analysis.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_PERCENT = 10;
+const DEFAULT_POINTS = 41;
+const MAX_POINTS = 201;
+// Each days x ivShifts pair is one more curve over the whole spot range
+const MAX_DAYS = 10;
+const MAX_IV_SHIFTS = 10;
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function round(value, digits = 2) {
+  return +value.toFixed(digits);
+}
+
+// Quantity from qty (signed) or qty with side "B" / "S"
+function signedQty(leg) {
+  const qty = toNumber(leg.qty ?? leg.netQty);
+  if (!qty) throw new Error(`Leg ${leg.tsym || leg.strike} has no quantity`);
+  return leg.side?.toUpperCase().startsWith("S") ? -Math.abs(qty) : qty;
+}
+
+async function resolveInstrument(broker, leg) {
+  if (leg.tsym || ["CE", "PE"].includes(leg.optionType?.toUpperCase())) {
+    return resolveContract(broker, leg);
+  }
+
+  // A future by underlying and expiry
+  if (!leg.underlying || !leg.expiry) {
+    throw new Error("Give tsym, or underlying, expiry and optionType (CE, PE or FUT)");
+  }
+  const futures = await instrumentIndex.filter(masterFor(broker), {
+    underlying: leg.underlying,
+    expiry: leg.expiry,
+  });
+  const future = futures.find((item) => !item.optionType);
+  if (!future) throw new Error(`No ${leg.underlying} future expiring ${leg.expiry}`);
+  return future;
+}
+
+// Spot from the request, else the option chain's spot for that expiry
+async function resolveSpot(broker, underlying, expiry, { spot, spotKey }) {
+  if (toNumber(spot) !== null) return { spot: toNumber(spot), forward: false };
+
+  const chain = await buildOptionChain({ broker, underlying, expiry, spotKey, strikeCount: 1 });
+  if (!chain.spot) {
+    throw new Error(`No spot price for ${underlying}, pass spot or spotKey`);
+  }
+  return { spot: chain.spot, source: chain.spotSource, forward: chain.spotIsForward };
+}
+
+// Value of one unit of a leg at a spot price and moment, volatility shifted by
+// ivShift percentage points
+function unitValue(leg, spot, at, market, ivShift = 0) {
+  if (!leg.optionType) return spot;
+  return blackScholes.price({
+    optionType: leg.optionType,
+    spot,
+    strike: leg.strike,
+    time: timeToExpiry(leg.expiry, at),
+    rate: market.rate,
+    dividendYield: market.dividendYield,
+    volatility: Math.max(leg.volatility + ivShift / 100, 0.0001),
+  });
+}
+
+function positionPnl(legs, spot, at, market, ivShift) {
+  return legs.reduce(
+    (total, leg) =>
+      total + leg.qty * (unitValue(leg, spot, at, market, ivShift) - leg.entryPrice),
+    0
+  );
+}
+
+// Spots where the expiry curve crosses zero, interpolated between grid points
+function findBreakevens(spots, pnl) {
+  const breakevens = [];
+  for (let index = 1; index < spots.length; index++) {
+    const [left, right] = [pnl[index - 1], pnl[index]];
+    if (left === 0) breakevens.push(spots[index - 1]);
+    if (left * right < 0) {
+      const ratio = left / (left - right);
+      breakevens.push(
+        round(spots[index - 1] + ratio * (spots[index] - spots[index - 1]))
+      );
+    }
+  }
+  return breakevens;
+}
+
+function spotRange(spot, range = {}) {
+  const percent = toNumber(range.percent) || DEFAULT_RANGE_PERCENT;
+  const from = toNumber(range.from) ?? spot * (1 - percent / 100);
+  const to = toNumber(range.to) ?? spot * (1 + percent / 100);
+  const requestedStep =
+    toNumber(range.step) || (to - from) / (DEFAULT_POINTS - 1);
+  if (!(to > from) || !(requestedStep > 0)) {
+    throw new Error("range needs from < to and step > 0");
+  }
+
+  // Steps too fine for MAX_POINTS are widened so the grid still spans the range
+  const step = Math.max(requestedStep, (to - from) / (MAX_POINTS - 1));
+  const points = Math.floor((to - from) / step + 1e-9) + 1;
+  return Array.from({ length: points }, (value, index) => round(from + index * step));
+}
+
+// ===> Net greeks, breakevens, max profit / loss and payoff curves.
+// options: { broker, underlying?, spot?, spotKey?, rate?, dividendYield?,
+// range?: { from, to, step, percent }, days?: [0, 2], ivShifts?: [-5, 0, 5] }
+async function analyzePortfolio(rawLegs, options = {}) {
+  const broker = options.broker || "flattrade";
+  if (!Array.isArray(rawLegs) || rawLegs.length === 0) {
+    throw new Error("No open legs to analyze");
+  }
+
+  const resolved = await Promise.all(
+    rawLegs.map(async (leg) => {
+      const instrument = await resolveInstrument(broker, leg);
+      return { leg, instrument };
+    })
+  );
+  // Positions across underlyings can be narrowed down to one
+  const selected = resolved.filter(
+    ({ leg, instrument }) =>
+      !options.underlying ||
+      (instrument.underlying || leg.underlying)?.toUpperCase() ===
+        options.underlying.toUpperCase()
+  );
+  if (selected.length === 0) {
+    throw new Error(`No open legs on ${options.underlying}`);
+  }
+  const instruments = selected.map(({ instrument }) => instrument);
+  const selectedLegs = selected.map(({ leg }) => leg);
+
+  const underlyings = new Set(
+    selected.map(({ leg, instrument }) =>
+      (instrument.underlying || leg.underlying)?.toUpperCase()
+    )
+  );
+  if (underlyings.size !== 1 || underlyings.has(undefined)) {
+    const names = Array.from(underlyings).join(", ");
+    throw new Error(`Legs must share one underlying, pick one with underlying: ${names}`);
+  }
+  const underlying = Array.from(underlyings)[0];
+  const nearestExpiry = instruments
+    .map((item) => item.expiry)
+    .filter(Boolean)
+    .sort()[0];
+
+  const { spot, source, forward } = await resolveSpot(
+    broker,
+    underlying,
+    nearestExpiry,
+    options
+  );
+  const rate = toNumber(options.rate) ?? config.greeks.riskFreeRate;
+  const market = {
+    rate,
+    // Priced as a forward (Black-76) when the spot is a futures price
+    dividendYield:
+      toNumber(options.dividendYield) ?? (forward ? rate : config.greeks.dividendYield),
+  };
+  const now = new Date();
+
+  const legs = selectedLegs.map((leg, index) => {
+    const instrument = instruments[index];
+    const ltp =
+      toNumber(leg.ltp) ?? (instrument.token ? quoteFor(instrument).ltp : null);
+    const result = {
+      tradingSymbol: instrument.tradingSymbol,
+      optionType: instrument.optionType,
+      strike: instrument.strike,
+      expiry: instrument.expiry,
+      qty: signedQty(leg),
+      entryPrice: toNumber(leg.price ?? leg.avgPrice) ?? ltp,
+      ltp,
+    };
+    if (result.entryPrice === null) {
+      throw new Error(`Leg ${result.tradingSymbol || result.strike} has no price`);
+    }
+    if (!result.optionType) return { ...result, volatility: 0 };
+
+    const time = timeToExpiry(result.expiry, now);
+    const volatility =
+      toNumber(leg.iv) !== null
+        ? toNumber(leg.iv) / 100
+        : blackScholes.impliedVolatility({
+            optionType: result.optionType,
+            premium: ltp ?? result.entryPrice,
+            spot,
+            strike: result.strike,
+            time,
+            ...market,
+          });
+    if (volatility === null && time > 0) {
+      return {
+        ...result,
+        volatility: 0,
+        warning:
+          `No volatility for ${result.tradingSymbol || result.strike}, ` +
+          "valued at intrinsic; pass iv or ltp",
+      };
+    }
+    return { ...result, volatility: volatility || 0 };
+  });
+
+  // Net greeks at the current spot, per unit greeks times signed quantity
+  const netGreeks = { delta: 0, gamma: 0, theta: 0, vega: 0 };
+  for (const leg of legs) {
+    const greeks = leg.optionType
+      ? blackScholes.greeks({
+          optionType: leg.optionType,
+          spot,
+          strike: leg.strike,
+          time: timeToExpiry(leg.expiry, now),
+          volatility: leg.volatility,
+          ...market,
+        })
+      : { delta: 1, gamma: 0, theta: 0, vega: 0 };
+    Object.keys(netGreeks).forEach((name) => {
+      netGreeks[name] += leg.qty * greeks[name];
+    });
+  }
+
+  // Expiry curve at the nearest expiry, later legs still carry time value
+  const spots = spotRange(spot, options.range);
+  const expiryAt = nearestExpiry ? expiryTime(nearestExpiry) : now;
+  const expiryPnl = spots.map((price) => positionPnl(legs, price, expiryAt, market, 0));
+
+  const days = [].concat(options.days ?? [0]).map(Number).filter((day) => day >= 0);
+  const ivShifts = [].concat(options.ivShifts ?? [0]).map(Number).filter((shift) => !isNaN(shift));
+  if (days.length > MAX_DAYS || ivShifts.length > MAX_IV_SHIFTS) {
+    throw new Error(`Pass at most ${MAX_DAYS} days and ${MAX_IV_SHIFTS} ivShifts`);
+  }
+  const curves = [{ label: "expiry", daysAhead: null, ivShift: 0, pnl: expiryPnl }];
+  for (const day of days) {
+    const at = new Date(Math.min(now.getTime() + day * DAY_MS, expiryAt.getTime()));
+    for (const ivShift of ivShifts) {
+      curves.push({
+        label: `T+${day}${ivShift ? ` iv${ivShift > 0 ? "+" : ""}${ivShift}` : ""}`,
+        daysAhead: day,
+        ivShift,
+        pnl: spots.map((price) => positionPnl(legs, price, at, market, ivShift)),
+      });
+    }
+  }
+
+  // Extremes over the range and at a spot of zero; a curve still rising or
+  // falling at the top of the range keeps going that way without limit
+  const extremes = [...expiryPnl, positionPnl(legs, 0.01, expiryAt, market, 0)];
+  const topSlope = expiryPnl[expiryPnl.length - 1] - expiryPnl[expiryPnl.length - 2];
+  const unlimitedProfit = topSlope > 1e-6;
+  const unlimitedLoss = topSlope < -1e-6;
+
+  return {
+    broker,
+    underlying,
+    spot,
+    spotSource: source || "request",
+    expiry: nearestExpiry || null,
+    legs: legs.map(({ volatility, ...leg }) => ({
+      ...leg,
+      iv: leg.optionType && !leg.warning ? round(volatility * 100) : null,
+    })),
+    netGreeks: {
+      delta: round(netGreeks.delta, 4),
+      gamma: round(netGreeks.gamma, 6),
+      theta: round(netGreeks.theta),
+      vega: round(netGreeks.vega),
+    },
+    currentPnl: round(positionPnl(legs, spot, now, market, 0)),
+    breakevens: findBreakevens(spots, expiryPnl),
+    maxProfit: unlimitedProfit ? null : round(Math.max(...extremes)),
+    maxLoss: unlimitedLoss ? null : round(Math.min(...extremes)),
+    unlimitedProfit,
+    unlimitedLoss,
+    payoff: {
+      spots,
+      curves: curves.map((curve) => ({
+        ...curve,
+        pnl: curve.pnl.map((value) => round(value)),
+      })),
+    },
+  };
+}
+
+module.exports = { analyzePortfolio };
@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+const csv = require("fast-csv");
+const EventEmitter = require("events");
+
+const ticksFolder = path.join(path.resolve(__dirname, "../"), "ticks");
+
+// ===> Shared in-process price feed.
+// Anything that produces prices (POST /virtual/ticks, replays, the market data
+// hub) publishes here; the virtual engine and the stop-loss engine listen.
+// Ticks look like { tsym, ltp, qty?, time? }.
+const priceFeed = new EventEmitter();
+priceFeed.setMaxListeners(50);
+
+const lastPrices = new Map();
+
+priceFeed.publish = (tick) => {
+  const ltp = parseFloat(tick.ltp);
+  if (!tick.tsym || isNaN(ltp)) return;
+
+  lastPrices.set(tick.tsym, ltp);
+  priceFeed.emit("tick", tick);
+};
+
+priceFeed.getLastPrice = (tsym) => lastPrices.get(tsym);
+
+// ===> Read a CSV of ticks (tsym,ltp,qty,time) from the 'ticks' folder.
+// Resolves with the rows, or null when there is no such file; rejects when the
+// file can't be read or parsed.
+priceFeed.loadTicks = (fileName) => {
+  const filePath = path.join(ticksFolder, path.basename(fileName));
+  if (!fs.existsSync(filePath)) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const ticks = [];
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .pipe(csv.parse({ headers: true }))
+      .on("data", (row) => ticks.push(row))
+      .on("error", reject)
+      .on("end", () => resolve(ticks));
+  });
+};
+
+// ===> Publish loaded ticks in order. speed scales the gaps between tick
+// timestamps; 0 replays instantly.
+priceFeed.playTicks = async (ticks, speed = 0) => {
+  let previousTime = null;
+  for (const tick of ticks) {
+    const parsedTime = tick.time ? new Date(tick.time).getTime() : NaN;
+    const tickTime = isNaN(parsedTime) ? null : parsedTime;
+    if (speed > 0 && previousTime !== null && tickTime !== null) {
+      const delay = (tickTime - previousTime) / speed;
+      if (delay > 0) {
+        await new Promise((done) => setTimeout(done, delay));
+      }
+    }
+    previousTime = tickTime ?? previousTime;
+    // A listener throwing on a bad tick rejects the replay
+    priceFeed.publish(tick);
+  }
+  return ticks.length;
+};
+
+module.exports = priceFeed;
@@ -0,0 +1,239 @@
+const { format } = require("date-fns");
+const config = require("../config");
+const priceFeed = require("./priceFeed");
+const { getUnderlying, resolveLotSize } = require("./symbolNames");
+
+// ===> Pre-trade risk layer in front of every broker /placeOrder and
+// /modifyOrder route.
+// Each check returns a rejection reason, or null when the order may go through.
+
+const LIMIT_TYPES = ["LMT", "SL-LMT"];
+// Lots sent per account per day, keyed by date_broker_clientId
+const lotsToday = new Map();
+
+function dayKey(broker, clientId) {
+  return `${format(new Date(), "yyyy-MM-dd")}_${broker}_${clientId}`;
+}
+
+function lotsFor(order, lotSize) {
+  return Math.ceil(parseInt(order.qty) / lotSize);
+}
+
+function checkProductAndExchange(order) {
+  const { allowedProducts, allowedExchanges } = config.risk;
+  if (order.prd && !allowedProducts.includes(order.prd.toUpperCase())) {
+    return `Product ${order.prd} is not allowed`;
+  }
+  if (order.exch && !allowedExchanges.includes(order.exch.toUpperCase())) {
+    return `Exchange ${order.exch} is not allowed`;
+  }
+  return null;
+}
+
+function checkQuantity(order) {
+  const { maxQtyPerOrder, freezeQty, maxSlicesPerOrder } = config.risk;
+  const qty = parseInt(order.qty);
+  const underlying = getUnderlying(order.tsym);
+  const maxQty =
+    maxQtyPerOrder[underlying] ??
+    (freezeQty[underlying] && freezeQty[underlying] * maxSlicesPerOrder);
+
+  if (!(qty > 0)) return "Quantity should be greater than zero";
+  if (maxQty && qty > maxQty) {
+    return `Quantity ${qty} exceeds the per order limit of ${maxQty} for ${underlying}`;
+  }
+  return null;
+}
+
+// pendingLots are earlier legs of the same basket that are not recorded yet
+function checkLotsPerDay(broker, auth, order, lotSize, pendingLots) {
+  const { maxLotsPerDay } = config.risk;
+  if (!maxLotsPerDay) return null;
+
+  const used = (lotsToday.get(dayKey(broker, auth.clientId)) || 0) + pendingLots;
+  const lots = lotsFor(order, lotSize);
+  if (used + lots > maxLotsPerDay) {
+    return `Daily limit of ${maxLotsPerDay} lots reached (${used} used, order needs ${lots})`;
+  }
+  return null;
+}
+
+// Fat finger guard: limit prices must be within the band around the LTP
+function checkPriceBand(order) {
+  const { priceBandPercent } = config.risk;
+  const ltp = priceFeed.getLastPrice(order.tsym);
+  if (!priceBandPercent || !LIMIT_TYPES.includes(order.prctyp) || !ltp) {
+    return null;
+  }
+
+  const prc = parseFloat(order.prc);
+  const deviation = (Math.abs(prc - ltp) / ltp) * 100;
+  if (deviation > priceBandPercent) {
+    return `Price ${prc} is ${deviation.toFixed(1)}% away from LTP ${ltp}, band is ${priceBandPercent}%`;
+  }
+  return null;
+}
+
+// Orders that only shrink an existing position are always let through
+function isReducing(order, positions) {
+  const position = positions.find(
+    (item) => item.symbol === order.tsym && item.netQty !== 0
+  );
+  if (!position) return false;
+
+  const qty = parseInt(order.qty);
+  return order.trantype === "B"
+    ? position.netQty < 0 && qty <= -position.netQty
+    : position.netQty > 0 && qty <= position.netQty;
+}
+
+function liveMtm(positions) {
+  return positions.reduce((total, position) => {
+    const ltp = priceFeed.getLastPrice(position.symbol);
+    const unrealized =
+      ltp !== undefined
+        ? (ltp - position.avgPrice) * position.netQty
+        : position.unrealizedMtm || 0;
+    return total + position.realizedMtm + unrealized;
+  }, 0);
+}
+
+// Only fetched when a position limit is set; null otherwise
+async function fetchPositions(adapter, auth) {
+  const { maxOpenPositions, maxDailyLoss } = config.risk;
+  if (!maxOpenPositions && !maxDailyLoss) return null;
+  return adapter.getPositions(auth);
+}
+
+function checkPositions(order, positions) {
+  const { maxOpenPositions, maxDailyLoss } = config.risk;
+  if (!maxOpenPositions && !maxDailyLoss) return null;
+
+  if (!Array.isArray(positions)) {
+    return `Could not verify positions: ${positions?.emsg || "unknown error"}`;
+  }
+  if (isReducing(order, positions)) return null;
+
+  if (maxDailyLoss) {
+    const mtm = liveMtm(positions);
+    if (mtm <= -maxDailyLoss) {
+      return `Daily loss limit of ${maxDailyLoss} reached (MTM ${mtm.toFixed(2)}), only exits are allowed`;
+    }
+  }
+
+  if (maxOpenPositions) {
+    const openSymbols = new Set(
+      positions
+        .filter((position) => position.netQty !== 0)
+        .map((position) => position.symbol)
+    );
+    if (!openSymbols.has(order.tsym) && openSymbols.size >= maxOpenPositions) {
+      return `Maximum of ${maxOpenPositions} open positions reached`;
+    }
+  }
+  return null;
+}
+
+// context carries what riskCheck already looked up for the request: the lot
+// size, the account positions and the lots of earlier basket legs
+async function checkOrder(adapter, auth, order, context = {}) {
+  if (!config.risk.enabled) return null;
+
+  const { pendingLots = 0 } = context;
+  const lotSize = context.lotSize ?? (await resolveLotSize(adapter, order.tsym));
+  const positions =
+    context.positions !== undefined
+      ? context.positions
+      : await fetchPositions(adapter, auth);
+
+  return (
+    checkProductAndExchange(order) ||
+    checkQuantity(order) ||
+    checkLotsPerDay(adapter.name, auth, order, lotSize, pendingLots) ||
+    checkPriceBand(order) ||
+    checkPositions(order, positions)
+  );
+}
+
+// Counted when the order is let through, so a broker side rejection still uses up lots
+function recordOrder(broker, auth, order, lotSize) {
+  const key = dayKey(broker, auth.clientId);
+  lotsToday.set(key, (lotsToday.get(key) || 0) + lotsFor(order, lotSize));
+}
+
+// ===> Express middleware for single orders and { legs } baskets.
+// getAdapter(req) and getAuth(req) tell it which broker account the order is for.
+function riskCheck(getAdapter, getAuth) {
+  return async (req, res, next) => {
+    const adapter = getAdapter(req);
+    const auth = getAuth(req);
+    const orders = Array.isArray(req.body.legs) ? req.body.legs : [req.body];
+
+    try {
+      if (!config.risk.enabled) return next();
+
+      // One position fetch serves every leg of a basket
+      const positions = await fetchPositions(adapter, auth);
+      const lotSizes = await Promise.all(
+        orders.map((order) => resolveLotSize(adapter, order.tsym))
+      );
+
+      let pendingLots = 0;
+      for (const [index, order] of orders.entries()) {
+        const lotSize = lotSizes[index];
+        const reason = await checkOrder(adapter, auth, order, {
+          pendingLots,
+          lotSize,
+          positions,
+        });
+        if (reason) {
+          console.log(`\nRisk check rejected ${adapter.name} order:`, reason);
+          return res
+            .status(400)
+            .json({ stat: "Not_Ok", emsg: `Risk check failed : ${reason}` });
+        }
+        pendingLots += lotsFor(order, lotSize);
+      }
+      orders.forEach((order, index) =>
+        recordOrder(adapter.name, auth, order, lotSizes[index])
+      );
+      next();
+    } catch (error) {
+      res.status(500).json({
+        message: "Error running risk checks",
+        error: error.message,
+      });
+      console.error("Error running risk checks:", error);
+    }
+  };
+}
+
+// Lots per day and position limits were applied when the order was placed, so
+// a modification is only checked for product, exchange, quantity and price band
+function checkModification(order) {
+  if (!config.risk.enabled) return null;
+
+  return (
+    checkProductAndExchange(order) ||
+    (order.qty !== undefined ? checkQuantity(order) : null) ||
+    checkPriceBand(order)
+  );
+}
+
+// ===> Express middleware for order modifications. getWorkingOrder(req) returns
+// the order being modified, to fill in fields a partial modification leaves out.
+function modifyRiskCheck(getWorkingOrder = () => null) {
+  return (req, res, next) => {
+    const order = { ...getWorkingOrder(req), ...req.body };
+    const reason = checkModification(order);
+    if (reason) {
+      console.log(`\nRisk check rejected order modification:`, reason);
+      return res
+        .status(400)
+        .json({ stat: "Not_Ok", emsg: `Risk check failed : ${reason}` });
+    }
+    next();
+  };
+}
+
+module.exports = { checkOrder, riskCheck, modifyRiskCheck };
@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const config = require("../config");
+const { readJson, writeJson } = require("./jsonStore");
+const tokenCrypto = require("./tokenCrypto");
+
+// ===> Per-user sessions.
+// Each caller gets an app-issued session id (sent back as the X-Session-Id
+// header) and broker tokens are stored against that session, server-side only.
+// Sessions expire after sessionTtlHours without use; broker tokens expire
+// brokerTokenTtlHours after they were set. Saved in data/sessions.json with
+// broker tokens encrypted (see tokenCrypto.js). A broker reply of "Session
+// Expired" flags the token as needing a fresh broker login, and a
+// "tokenExpired" event on sessionStore.events ({ broker, usersession }) lets
+// the market data hub close the websocket logged in with it.
+
+const events = new EventEmitter();
+const sessionsFile = "sessions.json";
+const HOUR_MS = 60 * 60 * 1000;
+
+const sessions = new Map();
+
+// Tokens go to disk encrypted, or not at all when there is no key
+function mapTokens(session, mapToken) {
+  return {
+    ...session,
+    brokers: Object.fromEntries(
+      Object.entries(session.brokers).map(([broker, credentials]) => [
+        broker,
+        { ...credentials, usersession: mapToken(credentials.usersession) },
+      ])
+    ),
+  };
+}
+
+function saveSessions() {
+  const encrypt = (token) =>
+    token && tokenCrypto.isEnabled() ? tokenCrypto.encrypt(token) : undefined;
+  try {
+    writeJson(
+      sessionsFile,
+      Array.from(sessions.values()).map((session) => mapTokens(session, encrypt))
+    );
+  } catch (error) {
+    console.error("Error saving sessions:", error);
+  }
+}
+
+function loadSessions() {
+  const decrypt = (token) => {
+    if (!token || !tokenCrypto.isEnabled()) return undefined;
+    try {
+      return tokenCrypto.decrypt(token);
+    } catch (error) {
+      console.error("Could not decrypt a saved broker token, dropping it");
+      return undefined;
+    }
+  };
+  readJson(sessionsFile, []).forEach((session) =>
+    sessions.set(session.id, mapTokens(session, decrypt))
+  );
+}
+
+function isExpired(expiresAt) {
+  return new Date(expiresAt).getTime() <= Date.now();
+}
+
+function extend(session) {
+  session.expiresAt = new Date(
+    Date.now() + config.sessions.sessionTtlHours * HOUR_MS
+  ).toISOString();
+}
+
+function createSession() {
+  const session = {
+    id: crypto.randomBytes(24).toString("hex"),
+    createdAt: new Date().toISOString(),
+    brokers: {},
+  };
+  extend(session);
+  sessions.set(session.id, session);
+  saveSessions();
+  console.log(`\nSession created, expires ${session.expiresAt}`);
+  return session;
+}
+
+// Valid sessions only; each lookup pushes the expiry out again
+function getSession(id) {
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  if (isExpired(session.expiresAt)) {
+    sessions.delete(id);
+    saveSessions();
+    return null;
+  }
+  extend(session);
+  return session;
+}
+
+function deleteSession(id) {
+  const removed = sessions.delete(id);
+  if (removed) saveSessions();
+  return removed;
+}
+
+function setBrokerCredentials(session, broker, { usersession, userid }) {
+  session.brokers[broker] = {
+    usersession,
+    userid,
+    updatedAt: new Date().toISOString(),
+    expiresAt: new Date(
+      Date.now() + config.sessions.brokerTokenTtlHours * HOUR_MS
+    ).toISOString(),
+  };
+  extend(session);
+  saveSessions();
+}
+
+// Marks the session as logged in to an app user account
+function setUser(session, username) {
+  session.user = username;
+  extend(session);
+  saveSessions();
+}
+
+function isUsable(credentials) {
+  return (
+    credentials?.usersession &&
+    !credentials.needsRelogin &&
+    !isExpired(credentials.expiresAt)
+  );
+}
+
+// { usersession, userid } for a broker, or null when missing, expired or
+// rejected by the broker
+function getBrokerCredentials(session, broker) {
+  const credentials = session?.brokers[broker];
+  if (!isUsable(credentials)) return null;
+  return { usersession: credentials.usersession, userid: credentials.userid };
+}
+
+// The broker said the token is no longer valid: every session holding it has
+// to log in to the broker again
+function markTokenExpired(broker, usersession) {
+  let marked = 0;
+  for (const session of sessions.values()) {
+    const credentials = session.brokers[broker];
+    if (credentials?.usersession === usersession && !credentials.needsRelogin) {
+      credentials.needsRelogin = true;
+      marked++;
+    }
+  }
+  if (marked > 0) {
+    saveSessions();
+    console.log(`\n${broker} session expired, ${marked} session(s) need a re-login`);
+  }
+  events.emit("tokenExpired", { broker, usersession });
+  return marked;
+}
+
+// Latest valid credentials for a broker account, for server-side jobs that
+// run without a request (stop-loss exits)
+function findBrokerCredentials(broker, clientId) {
+  let latest = null;
+  for (const session of sessions.values()) {
+    if (isExpired(session.expiresAt)) continue;
+    const credentials = session.brokers[broker];
+    if (
+      isUsable(credentials) &&
+      (!clientId || credentials.userid === clientId) &&
+      (!latest || credentials.updatedAt > latest.updatedAt)
+    ) {
+      latest = credentials;
+    }
+  }
+  return latest && { usersession: latest.usersession, userid: latest.userid };
+}
+
+// Session details without any tokens, safe to return to the client
+function describeSession(session) {
+  return {
+    sessionId: session.id,
+    user: session.user,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    brokers: Object.fromEntries(
+      Object.entries(session.brokers).map(([broker, credentials]) => [
+        broker,
+        {
+          userid: credentials.userid,
+          expiresAt: credentials.expiresAt,
+          expired: isExpired(credentials.expiresAt),
+          needsRelogin: !isUsable(credentials),
+        },
+      ])
+    ),
+  };
+}
+
+function purgeExpired() {
+  let purged = 0;
+  for (const [id, session] of sessions) {
+    if (isExpired(session.expiresAt)) {
+      sessions.delete(id);
+      purged++;
+    }
+  }
+  if (purged > 0) {
+    saveSessions();
+    console.log(`\nPurged ${purged} expired sessions`);
+  }
+}
+
+// ===> Express middleware: attaches the caller's session (or null) as req.userSession.
+// Only read from the header so session ids stay out of URLs and access logs.
+function sessionMiddleware(req, res, next) {
+  req.userSession = getSession(req.headers["x-session-id"]);
+  next();
+}
+
+function requireSession(req, res, next) {
+  if (!req.userSession) {
+    return res
+      .status(401)
+      .json({ message: "Session id is missing or has expired." });
+  }
+  next();
+}
+
+loadSessions();
+purgeExpired();
+setInterval(purgeExpired, HOUR_MS).unref();
+
+module.exports = {
+  events,
+  createSession,
+  getSession,
+  deleteSession,
+  setUser,
+  setBrokerCredentials,
+  getBrokerCredentials,
+  markTokenExpired,
+  findBrokerCredentials,
+  describeSession,
+  sessionMiddleware,
+  requireSession,
+};
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+
+module.exports = (sessionStore) => {
+  // ===> Start a new session; send its id back as the X-Session-Id header
+  router.post("/", (req, res) => {
+    const session = sessionStore.createSession();
+    res.json({ status: "success", ...sessionStore.describeSession(session) });
+  });
+
+  // ===> Current session and which brokers it holds tokens for (never the tokens)
+  router.get("/", sessionStore.requireSession, (req, res) => {
+    res.json(sessionStore.describeSession(req.userSession));
+  });
+
+  // ===> Log out: drop the session and its broker tokens
+  router.delete("/", sessionStore.requireSession, (req, res) => {
+    sessionStore.deleteSession(req.userSession.id);
+    res.json({ status: "success", result: "logged out" });
+    console.log(`\nSession ended`);
+  });
+
+  return router;
+};
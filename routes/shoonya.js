@@ -3,16 +3,33 @@ const router = express.Router();
 const { createProxyMiddleware } = require("http-proxy-middleware");
 const axios = require("axios");
 const NodeCache = require("node-cache");
-const fs = require("fs");
-const csv = require("fast-csv");
-const path = require("path");
 const qs = require("qs");
-const { parse, isBefore } = require("date-fns");
-const unzipper = require("unzipper");
+const { loadShoonyaSymbols, checkExchange } = require("./symbolLoaders");
+const shoonyaAdapter = require("./brokerAdapters").getAdapter("shoonya");
+const { validateModifyOrder } = require("./orderValidation");
+const { basketValidation, placeBasket } = require("./basketOrders");
+const { exitAll } = require("./exitAll");
+const { riskCheck, modifyRiskCheck } = require("./riskChecks");
+const { placeSlicedOrder } = require("./orderSlicer");
+const { brokerSession } = require("./brokerSession");
+const instrumentChanges = require("./instrumentChanges");
 
 const symbolCache = new NodeCache({ stdTTL: 4 * 60 * 60 });
 
-module.exports = (storedCredentials) => {
+// Fresh scrip masters make every cached /symbols result stale
+instrumentChanges.events.on("changed", ({ broker }) => {
+  if (broker === "shoonya") symbolCache.flushAll();
+});
+
+module.exports = (sessionStore) => {
+  const orderRiskCheck = riskCheck(
+    () => shoonyaAdapter,
+    (req) => ({
+      jKey: req.headers.authorization?.split(" ")[1],
+      clientId: req.body.uid || req.body.legs?.[0]?.uid,
+    })
+  );
+
   router.use(
     "/shoonyaApi",
     createProxyMiddleware({
@@ -24,6 +41,9 @@ module.exports = (storedCredentials) => {
     })
   );
 
+  // Tokens come from the caller's session when the request does not carry them
+  router.use(brokerSession("shoonya"));
+
   router.post("/login", async (req, res) => {
     console.log("Received Shoonya login request");
     console.log("Request body:", req.body);
@@ -67,27 +87,31 @@ module.exports = (storedCredentials) => {
     console.log("Received POST request to set Shoonya credentials");
     const { usersession, userid } = req.body;
 
-    // Store the Shoonya credentials and security IDs
-    storedCredentials.shoonya = {
+    // Store the Shoonya credentials in the caller's session, starting one if needed
+    const session = req.userSession || sessionStore.createSession();
+    sessionStore.setBrokerCredentials(session, "shoonya", {
       usersession,
       userid,
-    };
+    });
 
-    res.json({ message: "Shoonya Credentials updated successfully" });
+    res.json({
+      message: "Shoonya Credentials updated successfully",
+      sessionId: session.id,
+    });
     console.log(
       `${new Date().toLocaleTimeString()}  Updated Shoonya credentials`
     );
   });
 
   // ===> Endpoint to retrieve Shoonya websocket data
-  router.get("/websocketData", (req, res) => {
+  router.get("/websocketData", sessionStore.requireSession, (req, res) => {
     // console.log("Received GET request for Shoonya websocket data");
 
-    // Use the stored Shoonya credentials and security IDs
-    const websocketData = {
-      usersession: storedCredentials.shoonya.usersession,
-      userid: storedCredentials.shoonya.userid,
-    };
+    // Use the Shoonya credentials stored in the caller's session
+    const websocketData = sessionStore.getBrokerCredentials(
+      req.userSession,
+      "shoonya"
+    ) || { usersession: "", userid: "" };
 
     res.json(websocketData);
     console.log("Sending Shoonya websocket data:");
@@ -95,7 +119,7 @@ module.exports = (storedCredentials) => {
 
   // ===> Get Shoonya Funds
   router.post("/fundLimit", async (req, res) => {
-    const jKey = req.query.SHOONYA_API_TOKEN;
+    const jKey = req.headers.authorization?.split(" ")[1];
     const clientId = req.query.SHOONYA_CLIENT_ID;
 
     if (!jKey || !clientId) {
@@ -130,9 +154,15 @@ module.exports = (storedCredentials) => {
   });
 
   // ===> Get Shoonya Symbols
-  router.get("/symbols", (req, res) => {
+  router.get("/symbols", async (req, res) => {
     const { exchangeSymbol, masterSymbol } = req.query;
 
+    try {
+      checkExchange("shoonya", exchangeSymbol);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
     const cacheKey = `${exchangeSymbol}_${masterSymbol}`;
 
     const cachedData = symbolCache.get(cacheKey);
@@ -140,113 +170,23 @@ module.exports = (storedCredentials) => {
       return res.json(cachedData);
     }
 
-    const bfoSymbolMapping = {
-      SENSEX: "BSXOPT",
-      BANKEX: "BKXOPT",
-      SENSEX50: "SX50OPT",
-    };
-
-    const callStrikes = [];
-    const putStrikes = [];
-    const expiryDates = new Set();
-
-    let zipFilePath;
-    if (exchangeSymbol === "BFO") {
-      zipFilePath = path.join(__dirname, "../symbols/BFO_symbols.txt.zip");
-    } else if (exchangeSymbol === "NFO") {
-      zipFilePath = path.join(__dirname, "../symbols/NFO_symbols.txt.zip");
-    } else {
-      return res
-        .status(400)
-        .json({ message: "Invalid exchangeSymbol. Must be 'BFO' or 'NFO'." });
-    }
+    try {
+      const result = await loadShoonyaSymbols(exchangeSymbol, masterSymbol);
+      symbolCache.set(cacheKey, result);
 
-    fs.createReadStream(zipFilePath)
-      .pipe(unzipper.Parse())
-      .on("entry", (entry) => {
-        const fileName = entry.path;
-        if (fileName.endsWith(".txt")) {
-          entry
-            .pipe(csv.parse({ headers: true, delimiter: "," }))
-            .on("data", (row) => {
-              let symbolMatches;
-              if (exchangeSymbol === "BFO") {
-                const mappedSymbol =
-                  bfoSymbolMapping[masterSymbol] || masterSymbol;
-                symbolMatches = row["Symbol"].startsWith(mappedSymbol);
-              } else {
-                symbolMatches = row["Symbol"] === masterSymbol;
-              }
-
-              if (row["Exchange"] === exchangeSymbol && symbolMatches) {
-                const strikeData = {
-                  tradingSymbol: row["TradingSymbol"],
-                  securityId: row["Token"],
-                  expiryDate: row["Expiry"],
-                  strikePrice: row["StrikePrice"],
-                };
-                if (row["OptionType"] === "CE") {
-                  callStrikes.push(strikeData);
-                } else if (row["OptionType"] === "PE") {
-                  putStrikes.push(strikeData);
-                }
-                expiryDates.add(row["Expiry"]);
-              }
-            })
-            .on("end", () => {
-              console.log("\nFinished processing file");
-              console.log(`Call Strikes: ${callStrikes.length}`);
-              console.log(`Put Strikes: ${putStrikes.length}`);
-              console.log(`Expiry Dates: ${expiryDates.size}`);
-
-              callStrikes.sort((a, b) => a.strikePrice - b.strikePrice);
-              putStrikes.sort((a, b) => a.strikePrice - b.strikePrice);
-              const today = new Date();
-              const sortedExpiryDates = Array.from(expiryDates)
-                .filter(
-                  (dateStr) =>
-                    !isBefore(
-                      parse(dateStr, "dd-MMM-yyyy", new Date()),
-                      today
-                    ) ||
-                    parse(dateStr, "dd-MMM-yyyy", new Date()).toDateString() ===
-                      today.toDateString()
-                )
-                .sort((a, b) => {
-                  const dateA = parse(a, "dd-MMM-yyyy", new Date());
-                  const dateB = parse(b, "dd-MMM-yyyy", new Date());
-                  return dateA - dateB;
-                });
-
-              const result = {
-                callStrikes,
-                putStrikes,
-                expiryDates: sortedExpiryDates,
-              };
-
-              symbolCache.set(cacheKey, result);
-
-              res.json(result);
-            });
-        } else {
-          entry.autodrain();
-        }
-      })
-      .on("error", (error) => {
-        res.status(500).json({
-          message: "Failed to process Shoonya zip file",
-          error: error.message,
-        });
-        console.error(
-          `Error processing Shoonya zip file ${zipFilePath}:`,
-          error
-        );
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        message: "Failed to process Shoonya zip file",
+        error: error.message,
       });
+      console.error("Error processing Shoonya zip file:", error);
+    }
   });
 
   // ===> Get Shoonya Orders and Trades
   router.get("/getOrdersAndTrades", async (req, res) => {
-    const jKey = req.query.SHOONYA_API_TOKEN;
+    const jKey = req.headers.authorization?.split(" ")[1];
     const clientId = req.query.SHOONYA_CLIENT_ID;
 
     if (!jKey || !clientId) {
@@ -300,6 +240,50 @@ module.exports = (storedCredentials) => {
     }
   });
 
+  // ===> Get Shoonya Positions
+  router.get("/positions", async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+    const clientId = req.query.SHOONYA_CLIENT_ID;
+
+    if (!jKey || !clientId) {
+      return res
+        .status(400)
+        .json({ message: "Token or Client ID is missing." });
+    }
+
+    try {
+      res.json(await shoonyaAdapter.getPositions({ jKey, clientId }));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching Shoonya positions",
+        error: error.message,
+      });
+      console.error("Error fetching Shoonya positions:", error);
+    }
+  });
+
+  // ===> Get Shoonya Holdings
+  router.get("/holdings", async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+    const clientId = req.query.SHOONYA_CLIENT_ID;
+
+    if (!jKey || !clientId) {
+      return res
+        .status(400)
+        .json({ message: "Token or Client ID is missing." });
+    }
+
+    try {
+      res.json(await shoonyaAdapter.getHoldings({ jKey, clientId }));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching Shoonya holdings",
+        error: error.message,
+      });
+      console.error("Error fetching Shoonya holdings:", error);
+    }
+  });
+
   // ===> Get Shoonya Option Greek
   router.post("/getOptionGreek", async (req, res) => {
     const jKey = req.headers.authorization?.split(" ")[1];
@@ -337,7 +321,7 @@ module.exports = (storedCredentials) => {
   // ===> TRADING API CALLS <===
 
   // ===> Place Shoonya Order
-  router.post("/placeOrder", async (req, res) => {
+  router.post("/placeOrder", orderRiskCheck, async (req, res) => {
     const jKey = req.headers.authorization?.split(" ")[1];
 
     if (!jKey) {
@@ -348,25 +332,15 @@ module.exports = (storedCredentials) => {
 
     const jData = qs.parse(req.body);
 
-    // const payload = `jKey=${jKey}&jData=${encodeURIComponent(jData)}`; // Not sure if we need this version, so keep it.
-    const payload = `jKey=${jKey}&jData=${JSON.stringify(jData)}`;
-
     try {
-      const response = await axios.post(
-        "https://api.shoonya.com/NorenWClientTP/PlaceOrder",
-        payload,
-        {
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-        }
-      );
-      res.json(response.data);
-      console.log(
-        `\nShoonya Order Place details:`,
-        jData,
-        response.data
+      // Orders above the freeze quantity go out as several child orders
+      const response = await placeSlicedOrder(
+        shoonyaAdapter,
+        { jKey, clientId: jData.uid },
+        jData
       );
+      res.json(response);
+      console.log(`\nShoonya Order Place details:`, jData, response);
     } catch (error) {
       res.status(500).json({
         message: "Error placing Shoonya Place order",
@@ -376,10 +350,100 @@ module.exports = (storedCredentials) => {
     }
   });
 
+  // ===> Place Shoonya Basket Order
+  router.post("/basketOrder", basketValidation, orderRiskCheck, async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+    const { legs, rollback } = req.body;
+
+    if (!jKey) {
+      return res
+        .status(400)
+        .json({ message: "Token is missing. Please generate a token first." });
+    }
+
+    try {
+      const result = await placeBasket(
+        shoonyaAdapter,
+        { jKey, clientId: legs[0].uid },
+        legs,
+        { rollback: rollback === true || rollback === "true" }
+      );
+      res.json(result);
+      console.log(`\nShoonya Basket Order details:`, JSON.stringify(result));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error placing Shoonya basket order",
+        error: error.message,
+      });
+      console.error("Error placing Shoonya basket order:", error);
+    }
+  });
+
+  // ===> Modify Shoonya Order
+  router.post("/modifyOrder", modifyRiskCheck(), async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+
+    if (!jKey) {
+      return res
+        .status(400)
+        .json({ message: "Token is missing. Please generate a token first." });
+    }
+
+    const jData = qs.parse(req.body);
+    const validationError = validateModifyOrder(jData);
+
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const response = await shoonyaAdapter.modifyOrder(
+        { jKey, clientId: jData.uid },
+        { ret: "DAY", ...jData }
+      );
+      res.json(response);
+      console.log(`\nShoonya Modify Order details:`, jData, response);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error modifying Shoonya order",
+        error: error.message,
+      });
+      console.error("Error modifying Shoonya order:", error);
+    }
+  });
+
+  // ===> Exit All Shoonya Orders and Positions
+  router.post("/exitAll", async (req, res) => {
+    const jKey = req.headers.authorization?.split(" ")[1];
+    const { uid, underlying, expiry } = req.body;
+
+    if (!jKey || !uid) {
+      return res
+        .status(400)
+        .json({ message: "Token or Client ID is missing." });
+    }
+
+    try {
+      const result = await exitAll(
+        shoonyaAdapter,
+        { jKey, clientId: uid },
+        { underlying, expiry }
+      );
+      res.json(result);
+      console.log(`\nShoonya Exit All:`, JSON.stringify(result));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error exiting all Shoonya positions",
+        error: error.message,
+      });
+      console.error("Error exiting all Shoonya positions:", error);
+    }
+  });
+
   // ===> Cancel Shoonya Order
   router.post("/cancelOrder", async (req, res) => {
     const { norenordno, uid } = req.body;
-    const jKey = req.query.SHOONYA_API_TOKEN;
+    const jKey = req.headers.authorization?.split(" ")[1];
 
     if (!jKey) {
       return res
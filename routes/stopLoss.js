@@ -0,0 +1,67 @@
+const express = require("express");
+const router = express.Router();
+const stopLossEngine = require("./stopLossEngine");
+
+module.exports = (sessionStore) => {
+  // Rules belong to the broker account logged in on the caller's session; the
+  // virtual broker is one shared paper account
+  function ownsRule(req, rule) {
+    if (rule.broker === "virtual") return true;
+    const credentials = sessionStore.getBrokerCredentials(
+      req.userSession,
+      rule.broker
+    );
+    return Boolean(credentials) && credentials.userid === rule.clientId;
+  }
+
+  // ===> List Stop-Loss Rules of the caller's accounts (optionally ?broker=)
+  router.get("/", (req, res) => {
+    const { broker } = req.query;
+    res.json(
+      stopLossEngine.listRules({ broker }).filter((rule) => ownsRule(req, rule))
+    );
+  });
+
+  // ===> Add Stop-Loss Rule
+  router.post("/", async (req, res) => {
+    const credentials = sessionStore.getBrokerCredentials(
+      req.userSession,
+      req.body.broker
+    );
+    const { clientId } = req.body;
+    if (clientId && req.body.broker !== "virtual" && clientId !== credentials?.userid) {
+      return res.status(403).json({
+        message: `Account ${clientId} is not logged in on this session.`,
+      });
+    }
+
+    try {
+      const rule = await stopLossEngine.addRule({
+        ...req.body,
+        clientId: credentials?.userid,
+      });
+      res.json({ status: "success", rule });
+      console.log(`\nStop-loss rule added:`, rule);
+    } catch (error) {
+      res.status(400).json({
+        message: "Error adding stop-loss rule",
+        error: error.message,
+      });
+      console.error("Error adding stop-loss rule:", error.message);
+    }
+  });
+
+  // ===> Remove Stop-Loss Rule
+  router.delete("/:id", (req, res) => {
+    const rule = stopLossEngine.getRule(req.params.id);
+    // Rules of other accounts look the same as missing ones
+    if (!rule || !ownsRule(req, rule)) {
+      return res.status(404).json({ message: "Rule not found" });
+    }
+    stopLossEngine.removeRule(rule.id);
+    res.json({ status: "success", result: "removed" });
+    console.log(`\nStop-loss rule removed:`, req.params.id);
+  });
+
+  return router;
+};
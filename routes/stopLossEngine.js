@@ -0,0 +1,311 @@
+const crypto = require("crypto");
+const { getAdapter } = require("./brokerAdapters");
+const { exitAll, buildFilter } = require("./exitAll");
+const { placeSlicedOrder } = require("./orderSlicer");
+const { readJson, writeJson } = require("./jsonStore");
+
+// ===> Server-side stop-loss / target / trailing stop rules.
+// "leg" rules watch one symbol's LTP and exit that position.
+// "mtm" rules watch an account's total MTM and exit everything via exitAll;
+// their stopLoss is the loss amount, target and trailingStop are in rupees.
+// Rules live in data/stoploss-rules.json so they survive restarts.
+
+const rulesFile = "stoploss-rules.json";
+const POSITION_REFRESH_MS = 15 * 1000;
+
+const rules = new Map();
+// Latest position snapshot per broker account, refreshed for MTM rules
+const accountPositions = new Map();
+let lastPrice = () => undefined;
+let getAuth = () => ({});
+let refreshTimer = null;
+
+function accountKey(broker, clientId) {
+  return `${broker}_${clientId}`;
+}
+
+function saveRules() {
+  try {
+    writeJson(rulesFile, Array.from(rules.values()));
+  } catch (error) {
+    console.error("Error saving stop-loss rules:", error);
+  }
+}
+
+function listRules({ broker, clientId } = {}) {
+  return Array.from(rules.values()).filter(
+    (rule) =>
+      (!broker || rule.broker === broker) &&
+      (!clientId || rule.clientId === clientId)
+  );
+}
+
+function getRule(id) {
+  return rules.get(id) || null;
+}
+
+function removeRule(id) {
+  const removed = rules.delete(id);
+  if (removed) saveRules();
+  return removed;
+}
+
+function parseLevel(value) {
+  const level = parseFloat(value);
+  return isNaN(level) ? null : level;
+}
+
+async function fetchPositions(rule) {
+  const adapter = getAdapter(rule.broker);
+  const positions = await adapter.getPositions(
+    getAuth(rule.broker, rule.clientId)
+  );
+  if (!Array.isArray(positions)) {
+    throw new Error(positions?.emsg || "Could not fetch positions");
+  }
+  return positions;
+}
+
+function findPosition(positions, rule) {
+  return positions.find(
+    (position) =>
+      position.symbol === rule.symbol &&
+      (!rule.product || position.product === rule.product)
+  );
+}
+
+// ===> Add a rule; leg rules learn their side (long/short) from the live position
+async function addRule(params) {
+  const adapter = getAdapter(params.broker);
+  if (!adapter) throw new Error(`Unknown broker: ${params.broker}`);
+
+  if (adapter.name !== "virtual" && !params.clientId) {
+    throw new Error(`No ${adapter.name} account on this session, log in first`);
+  }
+
+  const type = params.type === "mtm" ? "mtm" : "leg";
+  const rule = {
+    id: crypto.randomUUID(),
+    broker: adapter.name,
+    clientId: params.clientId || "virtual",
+    type,
+    stopLoss: parseLevel(params.stopLoss),
+    target: parseLevel(params.target),
+    trailingStop: parseLevel(params.trailingStop),
+    status: "active",
+    createdAt: new Date().toISOString(),
+  };
+
+  const levels = [rule.stopLoss, rule.target, rule.trailingStop];
+  if (levels.every((level) => level === null)) {
+    throw new Error(
+      "At least one of stopLoss, target or trailingStop is required"
+    );
+  }
+
+  if (type === "leg") {
+    if (!params.symbol) throw new Error("symbol is required for leg rules");
+    rule.symbol = params.symbol;
+    rule.product = params.product;
+
+    const position = findPosition(await fetchPositions(rule), rule);
+    if (!position || position.netQty === 0) {
+      throw new Error(`No open position in ${params.symbol}`);
+    }
+    rule.exchange = position.exchange;
+    rule.product = position.product;
+    rule.side = position.netQty > 0 ? "long" : "short";
+    rule.bestPrice = lastPrice(rule.symbol) ?? position.ltp ?? null;
+  } else {
+    rule.filter = { underlying: params.underlying, expiry: params.expiry };
+    rule.bestMtm = null;
+    await refreshAccount(rule.broker, rule.clientId);
+  }
+
+  rules.set(rule.id, rule);
+  saveRules();
+  scheduleRefresh();
+  return rule;
+}
+
+// Trailing stops follow the best price seen since the rule was added
+function legStopPrice(rule) {
+  if (rule.trailingStop === null || rule.bestPrice === null) {
+    return rule.stopLoss;
+  }
+
+  const trailed =
+    rule.side === "long"
+      ? rule.bestPrice - rule.trailingStop
+      : rule.bestPrice + rule.trailingStop;
+  if (rule.stopLoss === null) return trailed;
+  return rule.side === "long"
+    ? Math.max(rule.stopLoss, trailed)
+    : Math.min(rule.stopLoss, trailed);
+}
+
+function checkLegRule(rule, ltp) {
+  const isLong = rule.side === "long";
+  const isBetter = isLong ? ltp > rule.bestPrice : ltp < rule.bestPrice;
+  if (rule.bestPrice === null || isBetter) {
+    rule.bestPrice = ltp;
+  }
+
+  const stopPrice = legStopPrice(rule);
+  if (stopPrice !== null && (isLong ? ltp <= stopPrice : ltp >= stopPrice)) {
+    return "stopLoss";
+  }
+  const targetHit = isLong ? ltp >= rule.target : ltp <= rule.target;
+  if (rule.target !== null && targetHit) {
+    return "target";
+  }
+  return null;
+}
+
+// MTM from the last position snapshot, re-marked with the freshest LTPs
+function accountMtm({ broker, clientId, filter }) {
+  const positions = accountPositions.get(accountKey(broker, clientId));
+  if (!positions) return null;
+
+  const matches = buildFilter(filter);
+  return positions
+    .filter((position) => matches(position.symbol))
+    .reduce((total, position) => {
+      const ltp = lastPrice(position.symbol);
+      const unrealized =
+        ltp !== undefined
+          ? (ltp - position.avgPrice) * position.netQty
+          : position.unrealizedMtm || 0;
+      return total + position.realizedMtm + unrealized;
+    }, 0);
+}
+
+function checkMtmRule(rule) {
+  const mtm = accountMtm(rule);
+  if (mtm === null) return null;
+
+  rule.lastMtm = mtm;
+  if (rule.bestMtm === null || mtm > rule.bestMtm) rule.bestMtm = mtm;
+
+  let stopMtm = rule.stopLoss !== null ? -Math.abs(rule.stopLoss) : null;
+  // Only trail once the account is in profit, then lock in all but trailingStop
+  if (rule.trailingStop !== null && rule.bestMtm > 0) {
+    const trailed = rule.bestMtm - rule.trailingStop;
+    stopMtm = stopMtm === null ? trailed : Math.max(stopMtm, trailed);
+  }
+
+  if (stopMtm !== null && mtm <= stopMtm) return "stopLoss";
+  if (rule.target !== null && mtm >= rule.target) return "target";
+  return null;
+}
+
+async function exitLeg(rule) {
+  const adapter = getAdapter(rule.broker);
+  const auth = getAuth(rule.broker, rule.clientId);
+  const position = findPosition(await fetchPositions(rule), rule);
+
+  if (!position || position.netQty === 0) {
+    return { stat: "Ok", message: "Position already closed" };
+  }
+
+  return placeSlicedOrder(adapter, auth, {
+    exch: position.exchange,
+    tsym: position.symbol,
+    qty: Math.abs(position.netQty).toString(),
+    prc: "0",
+    prd: position.product,
+    trantype: position.netQty > 0 ? "S" : "B",
+    prctyp: "MKT",
+    ret: "DAY",
+  });
+}
+
+async function fireRule(rule, reason) {
+  rule.status = "triggering";
+  rule.triggerReason = reason;
+  rule.triggeredAt = new Date().toISOString();
+  console.log(`\nStop-loss rule ${rule.id} triggered (${reason})`, rule);
+
+  try {
+    rule.result =
+      rule.type === "leg"
+        ? await exitLeg(rule)
+        : await exitAll(
+            getAdapter(rule.broker),
+            getAuth(rule.broker, rule.clientId),
+            rule.filter
+          );
+    rule.status = rule.result?.stat === "Ok" ? "triggered" : "failed";
+  } catch (error) {
+    rule.status = "failed";
+    rule.error = error.message;
+    console.error(`Error exiting for stop-loss rule ${rule.id}:`, error);
+  }
+  saveRules();
+}
+
+function onTick(tick) {
+  const ltp = parseFloat(tick.ltp);
+  if (isNaN(ltp)) return;
+
+  for (const rule of rules.values()) {
+    if (rule.status !== "active") continue;
+
+    const reason =
+      rule.type === "leg"
+        ? rule.symbol === tick.tsym && checkLegRule(rule, ltp)
+        : checkMtmRule(rule);
+    if (reason) fireRule(rule, reason);
+  }
+}
+
+async function refreshAccount(broker, clientId) {
+  const positions = await fetchPositions({ broker, clientId });
+  accountPositions.set(
+    accountKey(broker, clientId),
+    positions.filter(
+      (position) => position.netQty !== 0 || position.realizedMtm
+    )
+  );
+}
+
+// Poll position books only while there are MTM rules that need them
+function scheduleRefresh() {
+  const mtmRules = listRules().filter(
+    (rule) => rule.type === "mtm" && rule.status === "active"
+  );
+  if (mtmRules.length === 0 || refreshTimer) return;
+
+  refreshTimer = setTimeout(async () => {
+    refreshTimer = null;
+    const accounts = new Map(
+      mtmRules.map((rule) => [accountKey(rule.broker, rule.clientId), rule])
+    );
+    for (const rule of accounts.values()) {
+      try {
+        await refreshAccount(rule.broker, rule.clientId);
+      } catch (error) {
+        console.error(
+          `Error refreshing positions for ${rule.broker}:`,
+          error.message
+        );
+      }
+    }
+    scheduleRefresh();
+  }, POSITION_REFRESH_MS);
+  refreshTimer.unref();
+}
+
+// ===> Start listening to a price feed.
+// getAuth(broker, clientId) returns the { jKey, clientId } to trade with.
+function start({ feed, getAuth: resolveAuth }) {
+  getAuth = resolveAuth;
+  lastPrice = (tsym) => feed.getLastPrice?.(tsym);
+
+  readJson(rulesFile, []).forEach((rule) => rules.set(rule.id, rule));
+  feed.on("tick", onTick);
+  scheduleRefresh();
+  console.log(`Stop-loss engine started with ${rules.size} rules`);
+}
+
+module.exports = { start, addRule, getRule, removeRule, listRules };
@@ -0,0 +1,120 @@
+const { parse, isBefore } = require("date-fns");
+const instrumentIndex = require("./instrumentIndex");
+
+// Strike lists for the /symbols routes, read from the shared instrument index
+
+// Expiry today or later
+function isCurrent(dateStr) {
+  const today = new Date();
+  const date = parse(dateStr, "dd-MMM-yyyy", new Date());
+  return !isBefore(date, today) || date.toDateString() === today.toDateString();
+}
+
+// Sort strikes and drop expiries that are already behind us
+function buildResult(callStrikes, putStrikes, expiryDates, futures, cash) {
+  console.log("\nFinished processing file");
+  console.log(`Call Strikes: ${callStrikes.length}`);
+  console.log(`Put Strikes: ${putStrikes.length}`);
+  console.log(`Expiry Dates: ${expiryDates.size}`);
+  console.log(`Futures: ${futures.length}, Cash: ${cash.length}`);
+
+  callStrikes.sort((a, b) => a.strikePrice - b.strikePrice);
+  putStrikes.sort((a, b) => a.strikePrice - b.strikePrice);
+  const sortedExpiryDates = Array.from(expiryDates)
+    .filter(isCurrent)
+    .sort((a, b) => {
+      const dateA = parse(a, "dd-MMM-yyyy", new Date());
+      const dateB = parse(b, "dd-MMM-yyyy", new Date());
+      return dateA - dateB;
+    });
+
+  return {
+    callStrikes,
+    putStrikes,
+    expiryDates: sortedExpiryDates,
+    // Futures come sorted by expiry from the index
+    futures: futures.filter((future) => isCurrent(future.expiryDate)),
+    cash,
+  };
+}
+
+// ===> Option strikes, futures and cash instruments for one underlying, in the /symbols shape
+async function loadSymbols(broker, exchangeSymbol, masterSymbol) {
+  const callStrikes = [];
+  const putStrikes = [];
+  const expiryDates = new Set();
+  const futures = [];
+  const cash = [];
+
+  const instruments = await instrumentIndex.filter(broker, {
+    exchange: exchangeSymbol,
+    underlying: masterSymbol,
+  });
+  for (const instrument of instruments) {
+    const symbolData = {
+      tradingSymbol: instrument.tradingSymbol,
+      securityId: instrument.token,
+      lotSize: instrument.lotSize,
+      tickSize: instrument.tickSize,
+    };
+
+    if (!instrument.optionType) {
+      // Rows with an expiry but no option type are futures, the rest cash
+      if (instrument.expiry) {
+        futures.push({ ...symbolData, expiryDate: instrument.expiryDate });
+      } else {
+        cash.push(symbolData);
+      }
+      continue;
+    }
+
+    const strikeData = {
+      ...symbolData,
+      expiryDate: instrument.expiryDate, // Send expiry date without parsing or formatting
+      strikePrice: instrument.strikePrice, // As in the file, e.g. "24000.00"
+    };
+    if (instrument.optionType === "CE") {
+      callStrikes.push(strikeData);
+    } else {
+      putStrikes.push(strikeData);
+    }
+    expiryDates.add(instrument.expiryDate);
+  }
+
+  return buildResult(callStrikes, putStrikes, expiryDates, futures, cash);
+}
+
+// Exchanges with an enabled scrip master segment
+function checkExchange(broker, exchangeSymbol) {
+  const exchanges = instrumentIndex.exchangesFor(broker);
+  if (!exchanges.includes(exchangeSymbol)) {
+    throw new Error(
+      `Invalid exchangeSymbol. Must be one of ${exchanges.join(", ")}.`
+    );
+  }
+}
+
+// ===> Flattrade symbols from the downloaded scrip master CSVs
+async function loadFlattradeSymbols(exchangeSymbol, masterSymbol) {
+  checkExchange("flattrade", exchangeSymbol);
+  return loadSymbols("flattrade", exchangeSymbol, masterSymbol);
+}
+
+// ===> Shoonya symbols from the downloaded zipped TXT files
+async function loadShoonyaSymbols(exchangeSymbol, masterSymbol) {
+  checkExchange("shoonya", exchangeSymbol);
+  return loadSymbols("shoonya", exchangeSymbol, masterSymbol);
+}
+
+// ===> Lot size of a trading symbol from a broker's scrip master
+async function getLotSize(broker, tsym) {
+  const instrument = await instrumentIndex.getBySymbol(broker, tsym);
+  return instrument?.lotSize || null;
+}
+
+module.exports = {
+  loadFlattradeSymbols,
+  loadShoonyaSymbols,
+  getLotSize,
+  checkExchange,
+};
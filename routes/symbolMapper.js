@@ -0,0 +1,64 @@
+const instrumentIndex = require("./instrumentIndex");
+
+// ===> Cross-broker symbol mapping.
+// Brokers spell trading symbols their own way (Shoonya even files BSE index
+// options under product codes like BSXOPT), but exchange tokens are the same
+// everywhere. Instruments are matched by token first, and by contract
+// (underlying, expiry, type, strike) when that fails.
+
+// Brokers without their own scrip master borrow another broker's
+const MASTER_FOR = { virtual: "flattrade" };
+
+function masterFor(broker) {
+  const name = broker?.toLowerCase();
+  const master = MASTER_FOR[name] || name;
+  if (!instrumentIndex.COLUMNS[master]) {
+    throw new Error(`No instrument master for broker: ${broker}`);
+  }
+  return master;
+}
+
+// An instrument on the source broker, by trading symbol or exchange + token
+async function findSource(broker, { tsym, exchange, token }) {
+  if (tsym) return instrumentIndex.getBySymbol(broker, tsym);
+  if (exchange && token) {
+    return instrumentIndex.getByToken(broker, exchange, token);
+  }
+  throw new Error("Give tsym, or exchange and token");
+}
+
+// ===> { from, to, matchedBy } for one instrument, to is null when the other
+// broker has no such contract
+async function mapInstrument(fromBroker, toBroker, query) {
+  const fromMaster = masterFor(fromBroker);
+  const toMaster = masterFor(toBroker);
+
+  const from = await findSource(fromMaster, query);
+  if (!from) {
+    throw new Error(
+      `Instrument ${query.tsym || `${query.exchange}|${query.token}`} not found on ${fromBroker}`
+    );
+  }
+  if (fromMaster === toMaster) return { from, to: from, matchedBy: "same" };
+
+  const byToken = await instrumentIndex.getByToken(
+    toMaster,
+    from.exchange,
+    from.token
+  );
+  if (byToken) return { from, to: byToken, matchedBy: "token" };
+
+  const byContract = await instrumentIndex.getByContract(toMaster, from);
+  return { from, to: byContract, matchedBy: byContract ? "contract" : null };
+}
+
+// ===> The same order for another broker: symbol swapped, everything else kept
+async function mapOrder(fromBroker, toBroker, order) {
+  const { to } = await mapInstrument(fromBroker, toBroker, { tsym: order.tsym });
+  if (!to) {
+    throw new Error(`${order.tsym} has no equivalent on ${toBroker}`);
+  }
+  return { ...order, exch: to.exchange, tsym: to.tradingSymbol };
+}
+
+module.exports = { masterFor, mapInstrument, mapOrder };
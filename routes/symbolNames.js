@@ -0,0 +1,27 @@
+const config = require("../config");
+
+// ===> Trading symbol helpers shared by the risk checks, the order slicer and
+// the exit filters.
+
+const MONTHS = "JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC";
+
+// NIFTY28NOV24C24000 -> NIFTY, SENSEX50... -> SENSEX50, SBIN-EQ -> SBIN
+function getUnderlying(tsym = "") {
+  const symbol = tsym.toUpperCase();
+  // Configured index names first, longest first so SENSEX50 wins over SENSEX
+  const known = Object.keys(config.risk.lotSize)
+    .sort((a, b) => b.length - a.length)
+    .find((name) => new RegExp(`^${name}\\d`).test(symbol));
+  if (known) return known;
+
+  const match = symbol.match(new RegExp(`^(.+?)\\d{2}(${MONTHS})\\d{2}`));
+  return match ? match[1] : symbol.split("-")[0];
+}
+
+// Lot size from the broker's scrip master, then config, then 1
+async function resolveLotSize(adapter, tsym) {
+  const lotSize = adapter.getLotSize ? await adapter.getLotSize(tsym) : null;
+  return lotSize || config.risk.lotSize[getUnderlying(tsym)] || 1;
+}
+
+module.exports = { getUnderlying, resolveLotSize };
@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// ===> AES-256-GCM encryption for broker tokens written to disk.
+// The key is derived from TOKEN_ENCRYPTION_KEY; without it tokens are never
+// written to disk and only live in memory until the server restarts.
+
+const key = config.sessions.tokenEncryptionKey
+  ? crypto.createHash("sha256").update(config.sessions.tokenEncryptionKey).digest()
+  : null;
+
+function isEnabled() {
+  return key !== null;
+}
+
+// iv:tag:ciphertext, all base64
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const encrypted = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(":");
+}
+
+// Throws when the key changed or the value was tampered with
+function decrypt(value) {
+  const [iv, tag, encrypted] = value
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+if (!isEnabled()) {
+  console.warn(
+    "TOKEN_ENCRYPTION_KEY is not set, broker tokens will not be saved to disk."
+  );
+}
+
+module.exports = { isEnabled, encrypt, decrypt };
@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const config = require("../config");
+const { readJson, writeJson } = require("./jsonStore");
+const sessionStore = require("./sessionStore");
+
+// ===> Authentication for the Steadfast API itself.
+// Callers identify with a static API key from config (X-API-Key header) or by
+// logging in a local user, which ties the user to their session (X-Session-Id).
+// Roles: "read" can only look, "trade" can also place orders and store broker
+// tokens, "admin" can also manage users. Users live in data/users.json with
+// scrypt-hashed passwords.
+
+const usersFile = "users.json";
+const ROLES = ["read", "trade", "admin"];
+
+// Path segments that place, change or exit orders, or touch broker sessions.
+// Routing is case-insensitive, so these are matched in lower case.
+const TRADING_ACTIONS = [
+  "placeOrder",
+  "modifyOrder",
+  "cancelOrder",
+  "basketOrder",
+  "exitAll",
+  "setCredentials",
+  "generateToken",
+  "login",
+  "flattradeApi",
+  "shoonyaApi",
+  "resetSession",
+  "ticks",
+  "replay",
+  "set-broker",
+].map((action) => action.toLowerCase());
+const PUBLIC_ROUTES = [
+  { method: "GET", path: "/" },
+  { method: "POST", path: "/auth/login" },
+];
+
+const users = new Map();
+
+function saveUsers() {
+  try {
+    writeJson(usersFile, Array.from(users.values()));
+  } catch (error) {
+    console.error("Error saving users:", error);
+  }
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(":");
+  const candidate = Buffer.from(hashPassword(password, salt).split(":")[1], "hex");
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+}
+
+// Compare digests so key length and content do not leak through timing
+function digest(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+function findApiKey(key) {
+  if (!key) return null;
+  const candidate = digest(key);
+  return (
+    config.auth.apiKeys.find((apiKey) =>
+      crypto.timingSafeEqual(digest(apiKey.key), candidate)
+    ) || null
+  );
+}
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function describeUser({ username, role, createdAt }) {
+  return { username, role, createdAt };
+}
+
+function listUsers() {
+  return Array.from(users.values()).map(describeUser);
+}
+
+function createUser({ username, password, role = "read" }) {
+  if (!username || !password) {
+    throw new Error("username and password are required");
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of ${ROLES.join(", ")}`);
+  }
+  if (users.has(username)) {
+    throw new Error(`User ${username} already exists`);
+  }
+
+  const user = {
+    username,
+    role,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString(),
+  };
+  users.set(username, user);
+  saveUsers();
+  console.log(`\nUser ${username} created with role ${role}`);
+  return describeUser(user);
+}
+
+function removeUser(username) {
+  const removed = users.delete(username);
+  if (removed) saveUsers();
+  return removed;
+}
+
+// The user on success, null for an unknown user or a wrong password
+function checkLogin(username, password) {
+  const user = users.get(username);
+  if (!user || !password || !verifyPassword(password, user.passwordHash)) {
+    return null;
+  }
+  return describeUser(user);
+}
+
+// { name, role, type } for an API key or a logged in session, else null.
+// Session users are looked up again so deleted users lose access at once.
+function identify(apiKey, session) {
+  const key = findApiKey(apiKey);
+  if (key) return { name: key.name, role: key.role, type: "apiKey" };
+
+  const user = session?.user && users.get(session.user);
+  if (user) return { name: user.username, role: user.role, type: "user" };
+  return null;
+}
+
+function requiredRole(req) {
+  const path = req.path.toLowerCase();
+  if (path.startsWith("/auth/users")) return "admin";
+  if (path.startsWith("/admin")) return "admin";
+  if (path.startsWith("/rules") && req.method !== "GET") return "trade";
+
+  const segments = path.split("/");
+  return segments.some((segment) => TRADING_ACTIONS.includes(segment))
+    ? "trade"
+    : "read";
+}
+
+// ===> Express middleware in front of every router
+function authenticate(req, res, next) {
+  if (!config.auth.enabled) {
+    req.auth = { name: "anonymous", role: "admin", type: "disabled" };
+    return next();
+  }
+
+  const isPublic = PUBLIC_ROUTES.some(
+    (route) =>
+      route.method === req.method && route.path === req.path.toLowerCase()
+  );
+  if (isPublic || req.method === "OPTIONS") return next();
+
+  req.auth = identify(req.headers["x-api-key"], req.userSession);
+  if (!req.auth) {
+    return res.status(401).json({ message: "Authentication required." });
+  }
+
+  const role = requiredRole(req);
+  if (!hasRole(req.auth.role, role)) {
+    console.log(`\nDenied ${req.method} ${req.path} for ${req.auth.name}`);
+    return res
+      .status(403)
+      .json({ message: `This action needs the ${role} role.` });
+  }
+  next();
+}
+
+// ===> socket.io middleware: connections need at least the read role
+function authenticateSocket(socket, next) {
+  if (!config.auth.enabled) return next();
+
+  const { apiKey, sessionId } = socket.handshake.auth || {};
+  const identity = identify(apiKey, sessionStore.getSession(sessionId));
+  if (!identity) return next(new Error("Authentication required."));
+
+  socket.data.auth = identity;
+  next();
+}
+
+readJson(usersFile, []).forEach((user) => users.set(user.username, user));
+
+// First admin user from the environment, so a fresh deployment can log in
+const { adminUsername, adminPassword } = config.auth;
+if (adminPassword && !users.has(adminUsername)) {
+  createUser({ username: adminUsername, password: adminPassword, role: "admin" });
+}
+if (config.auth.enabled && users.size === 0 && config.auth.apiKeys.length === 0) {
+  console.warn(
+    "Authentication is enabled but no users or API keys are configured. Set ADMIN_PASSWORD or API_KEYS."
+  );
+}
+
+module.exports = {
+  ROLES,
+  listUsers,
+  createUser,
+  removeUser,
+  checkLogin,
+  authenticate,
+  authenticateSocket,
+};
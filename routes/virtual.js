@@ -1,64 +1,219 @@
 const express = require("express");
 const router = express.Router();
-const NodeCache = require("node-cache");
-
-const virtualOrders = new NodeCache();
-let orderId = 1;
+const virtualEngine = require("./virtualEngine");
+const virtualAdapter = require("./virtualAdapter");
+const priceFeed = require("./priceFeed");
+const { basketValidation, placeBasket } = require("./basketOrders");
+const { exitAll } = require("./exitAll");
+const { riskCheck, modifyRiskCheck } = require("./riskChecks");
+const { placeSlicedOrder } = require("./orderSlicer");
 
 module.exports = () => {
+  const orderRiskCheck = riskCheck(
+    () => virtualAdapter,
+    () => ({ clientId: "virtual" })
+  );
+  // Virtual modifications may change only some fields of the working order
+  const orderModifyRiskCheck = modifyRiskCheck((req) =>
+    virtualEngine
+      .getOrders()
+      .find((order) => order.norenordno?.toString() === req.body.norenordno?.toString())
+  );
+
   // ===> Get Virtual Orders and Trades
   router.get("/getOrdersAndTrades", (req, res) => {
-    const orders = virtualOrders.mget(virtualOrders.keys());
     res.json({
-      orderBook: Object.values(orders),
-      tradeBook: Object.values(orders).filter(
-        (order) => order.status === "COMPLETE"
-      ),
+      orderBook: virtualEngine.getOrders(),
+      tradeBook: virtualEngine.getTrades(),
     });
     console.log(`\nVirtual Get Orders and Trades`);
   });
 
+  // ===> Get Virtual Positions
+  router.get("/positions", (req, res) => {
+    res.json(virtualEngine.getPositions());
+    console.log(`\nVirtual Get Positions`);
+  });
+
+  // ===> Get Virtual Funds
+  router.post("/fundLimit", (req, res) => {
+    res.json(virtualEngine.getFunds());
+    console.log(`\nVirtual Get Funds`);
+  });
+
+  // ===> Get Virtual Session details
+  router.get("/session", (req, res) => {
+    res.json(virtualEngine.getSessionInfo());
+  });
+
+  // ===> Reset Virtual Session (archived unless archive is false)
+  router.post("/resetSession", (req, res) => {
+    const archive = req.body.archive !== false && req.body.archive !== "false";
+
+    try {
+      const result = virtualEngine.resetSession(archive);
+      res.json({ status: "success", ...result });
+      console.log(`\nVirtual Session Reset:`, result);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error resetting virtual session",
+        error: error.message,
+      });
+      console.error("Error resetting virtual session:", error);
+    }
+  });
+
+  // ===> Feed Virtual Ticks (single tick or { ticks: [...] })
+  router.post("/ticks", (req, res) => {
+    const ticks = Array.isArray(req.body.ticks) ? req.body.ticks : [req.body];
+    ticks.forEach(priceFeed.publish);
+    res.json({ status: "success", processed: ticks.length });
+  });
+
+  // ===> Replay Virtual Ticks from a file in the 'ticks' folder
+  router.post("/replay", async (req, res) => {
+    const { file, speed } = req.body;
+
+    if (!file) {
+      return res.status(400).json({ message: "Tick file name is missing." });
+    }
+
+    // The file is read before answering, so a missing or unreadable file is
+    // reported to the caller; the ticks then play in the background
+    let ticks;
+    try {
+      ticks = await priceFeed.loadTicks(file);
+    } catch (error) {
+      console.error("Error reading virtual tick file:", error);
+      return res.status(400).json({
+        message: `Tick file ${file} could not be read`,
+        error: error.message,
+      });
+    }
+    if (!ticks) {
+      return res.status(404).json({ message: `Tick file ${file} not found` });
+    }
+
+    priceFeed
+      .playTicks(ticks, parseFloat(speed) || 0)
+      .then((count) => console.log(`\nVirtual Replay finished:`, { file, count }))
+      .catch((error) => console.error("Error replaying virtual ticks:", error));
+
+    res.json({ status: "success", message: `Replaying ${file}`, ticks: ticks.length });
+  });
+
   // ===> Place Virtual Order
-  router.post("/placeOrder", (req, res) => {
-    const { uid, actid, exch, tsym, qty, prc, prd, trantype, prctyp, ret } =
-      req.body;
-
-    const order = {
-      norenordno: orderId++,
-      uid,
-      actid,
-      exch,
-      tsym,
-      qty: parseInt(qty),
-      prc: parseFloat(prc),
-      prd,
-      trantype,
-      prctyp,
-      ret,
-      status: "COMPLETE",
-      orderTimestamp: new Date().toISOString(),
-    };
-
-    virtualOrders.set(order.norenordno.toString(), order);
-
-    res.json({ status: "success", norenordno: order.norenordno });
-    console.log(`\nVirtual Order Placed:`, order);
+  router.post("/placeOrder", orderRiskCheck, async (req, res) => {
+    try {
+      // Orders above the freeze quantity go out as several child orders
+      const result = await placeSlicedOrder(virtualAdapter, {}, req.body);
+
+      // A failed later slice leaves earlier children live, so the partial
+      // result is still reported as placed
+      const placed = result.children?.some((child) => child.status === "placed");
+      if (result.stat !== "Ok" && !placed) {
+        console.log(`\nVirtual Order Rejected:`, result);
+        return res.status(400).json(result);
+      }
+
+      res.json({ status: result.stat === "Ok" ? "success" : "partial", ...result });
+      console.log(`\nVirtual Order Placed:`, result);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error placing virtual order",
+        error: error.message,
+      });
+      console.error("Error placing virtual order:", error);
+    }
+  });
+
+  // ===> Place Virtual Basket Order
+  router.post("/basketOrder", basketValidation, orderRiskCheck, async (req, res) => {
+    const { legs, rollback } = req.body;
+
+    try {
+      const result = await placeBasket(virtualAdapter, {}, legs, {
+        rollback: rollback === true || rollback === "true",
+      });
+      res.json(result);
+      console.log(`\nVirtual Basket Order details:`, JSON.stringify(result));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error placing virtual basket order",
+        error: error.message,
+      });
+      console.error("Error placing virtual basket order:", error);
+    }
+  });
+
+  // ===> Exit All Virtual Orders and Positions
+  router.post("/exitAll", async (req, res) => {
+    const { underlying, expiry } = req.body;
+
+    try {
+      const result = await exitAll(virtualAdapter, {}, { underlying, expiry });
+      res.json(result);
+      console.log(`\nVirtual Exit All:`, JSON.stringify(result));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error exiting all virtual positions",
+        error: error.message,
+      });
+      console.error("Error exiting all virtual positions:", error);
+    }
+  });
+
+  // ===> Modify Virtual Order
+  router.post("/modifyOrder", orderModifyRiskCheck, (req, res) => {
+    const { norenordno } = req.body;
+
+    if (!norenordno) {
+      return res
+        .status(400)
+        .json({ stat: "Not_Ok", emsg: "Order number is missing." });
+    }
+
+    const result = virtualEngine.modifyOrder(req.body);
+
+    if (result.stat !== "Ok") {
+      console.log(`\nVirtual Modify Order:`, { norenordno }, result.emsg);
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      stat: "Ok",
+      result: result.order.norenordno.toString(),
+      request_time: new Date().toISOString(),
+    });
+    console.log(`\nVirtual Modify Order:`, result.order);
   });
 
   // ===> Cancel Virtual Order
   router.post("/cancelOrder", (req, res) => {
-    const { norenordno, uid } = req.body;
-    const order = virtualOrders.get(norenordno);
-
-    if (order) {
-      order.status = "CANCELLED";
-      virtualOrders.set(norenordno, order);
-      res.json({ status: "success", result: "cancelled" });
-      console.log(`\nVirtual Cancel Order:`, { norenordno }, "Order cancelled");
-    } else {
-      res.status(404).json({ status: "error", message: "Order not found" });
-      console.log(`\nVirtual Cancel Order:`, { norenordno }, "Order not found");
+    const { norenordno } = req.body;
+    const result = virtualEngine.cancelOrder(norenordno);
+
+    if (result.stat !== "Ok") {
+      console.log(`\nVirtual Cancel Order:`, { norenordno }, result.emsg);
+      return res.status(400).json(result);
     }
+
+    res.json({ stat: "Ok", status: "success", result: "cancelled" });
+    console.log(`\nVirtual Cancel Order:`, { norenordno }, "Order cancelled");
+  });
+
+  // ===> Get Virtual Order History
+  router.get("/orderHistory", (req, res) => {
+    const { norenordno } = req.query;
+    const history = virtualEngine.getOrderHistory(norenordno);
+
+    if (!history) {
+      return res
+        .status(404)
+        .json({ stat: "Not_Ok", emsg: `Order ${norenordno} not found` });
+    }
+
+    res.json(history);
   });
 
   return router;
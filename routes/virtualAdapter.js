@@ -0,0 +1,67 @@
+const virtualEngine = require("./virtualEngine");
+const { loadFlattradeSymbols, getLotSize } = require("./symbolLoaders");
+const { normalizeVirtualPositions } = require("./normalizers");
+
+// ===> Broker adapter over the in-process virtual engine, same contract as norenAdapter.
+// Responses follow the Noren shapes so callers need no virtual special cases.
+function toResponse(result) {
+  if (result.stat !== "Ok") return result;
+  return {
+    stat: "Ok",
+    norenordno: result.order.norenordno.toString(),
+    request_time: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  name: "virtual",
+
+  async getFunds() {
+    return virtualEngine.getFunds();
+  },
+
+  async getOrderBook() {
+    return virtualEngine.getOrders();
+  },
+
+  async getTradeBook() {
+    return virtualEngine.getTrades();
+  },
+
+  async getPositions() {
+    return normalizeVirtualPositions(virtualEngine.getPositions());
+  },
+
+  // Paper trades are intraday/F&O only, nothing is ever delivered
+  async getHoldings() {
+    return [];
+  },
+
+  async placeOrder(auth, order) {
+    return toResponse(virtualEngine.placeOrder(order));
+  },
+
+  async modifyOrder(auth, order) {
+    return toResponse(virtualEngine.modifyOrder(order));
+  },
+
+  async cancelOrder(auth, { norenordno }) {
+    return toResponse(virtualEngine.cancelOrder(norenordno));
+  },
+
+  // Paper trading uses the Flattrade scrip master for its instruments
+  getSymbols(exchangeSymbol, masterSymbol) {
+    return loadFlattradeSymbols(exchangeSymbol, masterSymbol);
+  },
+
+  getLotSize(tsym) {
+    return getLotSize("flattrade", tsym);
+  },
+
+  async getOptionGreek() {
+    return {
+      stat: "Not_Ok",
+      emsg: "Option greeks are not available for the virtual broker",
+    };
+  },
+};
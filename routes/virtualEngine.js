@@ -0,0 +1,575 @@
+const EventEmitter = require("events");
+const NodeCache = require("node-cache");
+const { format } = require("date-fns");
+const config = require("../config");
+const virtualStore = require("./virtualStore");
+
+const virtualOrders = new NodeCache();
+const virtualTrades = [];
+const lastPrices = new Map();
+// Emits "order" with the order and the history entry on every state change
+const orderEvents = new EventEmitter();
+let orderId = 1;
+let tradeId = 1;
+let sessionDate = today();
+
+const ORDER_TYPES = ["LMT", "MKT", "SL-LMT", "SL-MKT"];
+const MARKET_TYPES = ["MKT", "SL-MKT"];
+const LIMIT_TYPES = ["LMT", "SL-LMT"];
+const TRIGGER_TYPES = ["SL-LMT", "SL-MKT"];
+const ACTIVE_STATUSES = ["OPEN", "TRIGGER_PENDING"];
+
+function today() {
+  return format(new Date(), "yyyy-MM-dd");
+}
+
+function snapshot() {
+  return {
+    sessionDate,
+    orderId,
+    tradeId,
+    orders: virtualOrders.mget(virtualOrders.keys()),
+    trades: virtualTrades,
+    lastPrices: Object.fromEntries(lastPrices),
+  };
+}
+
+function persist() {
+  virtualStore.saveSession(snapshot());
+}
+
+// Order and trade numbers keep counting across sessions so they are never reused
+function startNewSession() {
+  virtualOrders.flushAll();
+  virtualTrades.length = 0;
+  sessionDate = today();
+  persist();
+}
+
+// ===> Archive yesterday's session on the first activity of a new day
+function ensureCurrentSession() {
+  if (sessionDate === today()) return;
+
+  if (virtualOrders.keys().length > 0) {
+    virtualStore.archiveSession(snapshot());
+  }
+  startNewSession();
+  console.log(`\nVirtual session rolled over to ${sessionDate}`);
+}
+
+// ===> Archive (optionally) and clear the current session
+function resetSession(archive = true) {
+  const archiveFile =
+    archive && virtualOrders.keys().length > 0
+      ? virtualStore.archiveSession(snapshot())
+      : null;
+  startNewSession();
+  return { sessionDate, archiveFile };
+}
+
+function getSessionInfo() {
+  ensureCurrentSession();
+  return {
+    sessionDate,
+    orders: virtualOrders.keys().length,
+    trades: virtualTrades.length,
+    nextOrderId: orderId,
+  };
+}
+
+function restoreSession() {
+  const state = virtualStore.loadSession();
+  if (!state) return;
+
+  sessionDate = state.sessionDate;
+  orderId = state.orderId;
+  tradeId = state.tradeId;
+  Object.entries(state.orders).forEach(([key, order]) =>
+    virtualOrders.set(key, order)
+  );
+  virtualTrades.push(...state.trades);
+  Object.entries(state.lastPrices || {}).forEach(([tsym, ltp]) =>
+    lastPrices.set(tsym, ltp)
+  );
+  console.log(
+    `Virtual session ${sessionDate} restored with ${virtualTrades.length} trades`
+  );
+  ensureCurrentSession();
+}
+
+function getOrders() {
+  ensureCurrentSession();
+  return Object.values(virtualOrders.mget(virtualOrders.keys())).sort(
+    (a, b) => a.norenordno - b.norenordno
+  );
+}
+
+function getTrades() {
+  ensureCurrentSession();
+  return virtualTrades;
+}
+
+function getLastPrice(tsym) {
+  return lastPrices.get(tsym);
+}
+
+// A buy stop triggers when price rises to the trigger, a sell stop when it falls to it
+function isTriggered(order, ltp) {
+  return order.trantype === "B" ? ltp >= order.trgprc : ltp <= order.trgprc;
+}
+
+function isMarketable(order, ltp) {
+  if (MARKET_TYPES.includes(order.prctyp)) return true;
+  return order.trantype === "B" ? ltp <= order.prc : ltp >= order.prc;
+}
+
+// Flat brokerage is charged once per order, on its first fill
+function calculateCharges(order, fillQty, fillPrice) {
+  const { brokeragePerOrder, chargesRate } = config.virtual;
+  const brokerage = order.fillshares === 0 ? brokeragePerOrder : 0;
+  return parseFloat((brokerage + fillQty * fillPrice * chargesRate).toFixed(2));
+}
+
+function recordFill(order, fillQty, fillPrice, time) {
+  const charges = calculateCharges(order, fillQty, fillPrice);
+  const previousValue = order.avgprc * order.fillshares;
+  order.fillshares += fillQty;
+  order.avgprc = parseFloat(
+    ((previousValue + fillQty * fillPrice) / order.fillshares).toFixed(2)
+  );
+  order.fills.push({ qty: fillQty, prc: fillPrice, time });
+  order.fillTimestamp = time;
+  if (order.fillshares >= order.qty) {
+    order.status = "COMPLETE";
+  }
+
+  virtualTrades.push({
+    norenordno: order.norenordno,
+    uid: order.uid,
+    actid: order.actid,
+    exch: order.exch,
+    tsym: order.tsym,
+    prd: order.prd,
+    trantype: order.trantype,
+    prctyp: order.prctyp,
+    qty: order.qty,
+    flid: tradeId++,
+    flqty: fillQty,
+    flprc: fillPrice,
+    fltm: time,
+    charges,
+  });
+
+  console.log(
+    `\nVirtual Fill:`,
+    { norenordno: order.norenordno, tsym: order.tsym, fillQty, fillPrice },
+    order.status
+  );
+}
+
+function addHistory(order, rpt, time) {
+  // Orders saved before history was tracked start with an empty one
+  if (!order.history) order.history = [];
+  order.history.push({
+    rpt,
+    status: order.status,
+    qty: order.qty,
+    prc: order.prc,
+    trgprc: order.trgprc,
+    prctyp: order.prctyp,
+    fillshares: order.fillshares,
+    avgprc: order.avgprc,
+    rejreason: order.rejreason,
+    time,
+  });
+
+  const { history, fills, ...fields } = order;
+  const lastFill = rpt === "Fill" ? fills[fills.length - 1] : null;
+  orderEvents.emit("order", {
+    ...fields,
+    rpt,
+    flqty: lastFill?.qty,
+    flprc: lastFill?.prc,
+    time,
+  });
+}
+
+// Matches one order against a price. `available` is the traded quantity still
+// unclaimed at this tick, or Infinity when the source does not report volume.
+function matchOrder(order, ltp, available, time) {
+  if (order.status === "TRIGGER_PENDING") {
+    if (!isTriggered(order, ltp)) return 0;
+    order.status = "OPEN";
+    order.triggerTimestamp = time;
+    addHistory(order, "Triggered", time);
+  }
+
+  if (order.status !== "OPEN" || !isMarketable(order, ltp)) return 0;
+
+  const fillQty = Math.min(order.qty - order.fillshares, available);
+  if (fillQty <= 0) return 0;
+
+  recordFill(order, fillQty, ltp, time);
+  addHistory(order, "Fill", time);
+  return fillQty;
+}
+
+// ===> Feed a single price update into the matching engine
+function processTick(tick) {
+  const tsym = tick.tsym;
+  const ltp = parseFloat(tick.ltp);
+  if (!tsym || isNaN(ltp)) return;
+  ensureCurrentSession();
+
+  // Ticks with a missing or unreadable time are stamped with the current time
+  const tickTime = tick.time ? new Date(tick.time) : null;
+  const time =
+    tickTime && !isNaN(tickTime) ? tickTime.toISOString() : new Date().toISOString();
+  // Ticks without a usable traded quantity can fill any amount
+  const tickQty = parseInt(tick.qty);
+  let available = tickQty > 0 ? tickQty : Infinity;
+  let filled = false;
+
+  lastPrices.set(tsym, ltp);
+
+  for (const order of getOrders()) {
+    if (available <= 0) break;
+    if (order.tsym !== tsym || !ACTIVE_STATUSES.includes(order.status)) {
+      continue;
+    }
+    const fillQty = matchOrder(order, ltp, available, time);
+    available -= fillQty;
+    filled = filled || fillQty > 0;
+    virtualOrders.set(order.norenordno.toString(), order);
+  }
+
+  if (filled) persist();
+}
+
+// ===> Validate order parameters, returning a Noren style rejection reason or null
+function validateOrder(order) {
+  if (!order.tsym) return "Trading symbol is missing";
+  if (!["B", "S"].includes(order.trantype)) {
+    return "Invalid transaction type, must be B or S";
+  }
+  if (!ORDER_TYPES.includes(order.prctyp)) {
+    return `Invalid price type ${order.prctyp}`;
+  }
+  if (!Number.isInteger(order.qty) || order.qty <= 0) {
+    return "Quantity should be greater than zero";
+  }
+  if (LIMIT_TYPES.includes(order.prctyp) && !(order.prc > 0)) {
+    return "Price should be greater than zero for limit orders";
+  }
+  if (!TRIGGER_TYPES.includes(order.prctyp)) return null;
+
+  if (!(order.trgprc > 0)) {
+    return "Trigger price should be greater than zero for stop loss orders";
+  }
+  if (order.prctyp === "SL-LMT") {
+    if (order.trantype === "B" && order.prc < order.trgprc) {
+      return "Limit price cannot be lower than trigger price for stop loss buy order";
+    }
+    if (order.trantype === "S" && order.prc > order.trgprc) {
+      return "Limit price cannot be higher than trigger price for stop loss sell order";
+    }
+  }
+
+  const ltp = lastPrices.get(order.tsym);
+  if (order.status === "TRIGGER_PENDING" && ltp !== undefined) {
+    if (order.trantype === "B" && order.trgprc < ltp) {
+      return "Trigger price cannot be lower than LTP for stop loss buy order";
+    }
+    if (order.trantype === "S" && order.trgprc > ltp) {
+      return "Trigger price cannot be higher than LTP for stop loss sell order";
+    }
+  }
+  return null;
+}
+
+function rejection(emsg) {
+  return { stat: "Not_Ok", emsg, request_time: new Date().toISOString() };
+}
+
+// Orders can only change while they are still working in the market
+function checkWorking(order, action) {
+  if (!order) return rejection(`Rejected : Order not found`);
+  if (!ACTIVE_STATUSES.includes(order.status)) {
+    return rejection(
+      `Rejected : Cannot ${action} order ${order.norenordno}, order is ${order.status}`
+    );
+  }
+  return null;
+}
+
+// Re-run the last known price against an order that was just placed or modified
+function matchLastPrice(order) {
+  const ltp = lastPrices.get(order.tsym);
+  if (ltp !== undefined) {
+    matchOrder(order, ltp, Infinity, new Date().toISOString());
+  }
+}
+
+// ===> Place an order; resolves to { stat: "Ok", order } or a Noren style rejection
+function placeOrder(params) {
+  const { uid, actid, exch, tsym, qty, prc, trgprc, prd, trantype, prctyp, ret } =
+    params;
+  ensureCurrentSession();
+  const time = new Date().toISOString();
+
+  const order = {
+    norenordno: orderId++,
+    uid,
+    actid,
+    exch,
+    tsym,
+    qty: parseInt(qty),
+    prc: parseFloat(prc) || 0,
+    trgprc: parseFloat(trgprc) || 0,
+    prd,
+    trantype,
+    prctyp,
+    ret,
+    status: TRIGGER_TYPES.includes(prctyp) ? "TRIGGER_PENDING" : "OPEN",
+    fillshares: 0,
+    avgprc: 0,
+    fills: [],
+    history: [],
+    orderTimestamp: time,
+  };
+
+  const rejreason = validateOrder(order);
+  if (rejreason) {
+    order.status = "REJECTED";
+    order.rejreason = rejreason;
+    addHistory(order, "Rejected", time);
+  } else {
+    addHistory(order, "New", time);
+    matchLastPrice(order);
+  }
+
+  virtualOrders.set(order.norenordno.toString(), order);
+  persist();
+
+  if (rejreason) {
+    return {
+      ...rejection(`Rejected : ${rejreason}`),
+      norenordno: order.norenordno,
+    };
+  }
+  return { stat: "Ok", order };
+}
+
+// ===> Modify price, quantity, trigger or price type of a working order
+function modifyOrder(params) {
+  ensureCurrentSession();
+  const order = virtualOrders.get(params.norenordno?.toString());
+  const notWorking = checkWorking(order, "modify");
+  if (notWorking) return notWorking;
+
+  const modified = {
+    ...order,
+    qty: params.qty !== undefined ? parseInt(params.qty) : order.qty,
+    prc: params.prc !== undefined ? parseFloat(params.prc) || 0 : order.prc,
+    trgprc:
+      params.trgprc !== undefined ? parseFloat(params.trgprc) || 0 : order.trgprc,
+    prctyp: params.prctyp || order.prctyp,
+    ret: params.ret || order.ret,
+  };
+
+  // A stop order that has already triggered stays OPEN; switching types re-arms it
+  if (modified.prctyp !== order.prctyp) {
+    modified.status = TRIGGER_TYPES.includes(modified.prctyp)
+      ? "TRIGGER_PENDING"
+      : "OPEN";
+  }
+
+  if (modified.qty <= order.fillshares) {
+    return rejection(
+      `Rejected : Quantity cannot be less than or equal to filled quantity ${order.fillshares}`
+    );
+  }
+  const rejreason = validateOrder(modified);
+  if (rejreason) return rejection(`Rejected : ${rejreason}`);
+
+  addHistory(modified, "Modified", new Date().toISOString());
+  matchLastPrice(modified);
+
+  virtualOrders.set(modified.norenordno.toString(), modified);
+  persist();
+  return { stat: "Ok", order: modified };
+}
+
+function cancelOrder(norenordno) {
+  ensureCurrentSession();
+  const order = virtualOrders.get(norenordno?.toString());
+  const notWorking = checkWorking(order, "cancel");
+  if (notWorking) return notWorking;
+
+  order.status = "CANCELLED";
+  addHistory(order, "Cancelled", new Date().toISOString());
+  virtualOrders.set(order.norenordno.toString(), order);
+  persist();
+  return { stat: "Ok", order };
+}
+
+// ===> Every state transition of an order, newest first like Noren SingleOrdHist
+function getOrderHistory(norenordno) {
+  ensureCurrentSession();
+  const order = virtualOrders.get(norenordno?.toString());
+  if (!order) return null;
+
+  return (order.history || [])
+    .map((entry) => ({
+      norenordno: order.norenordno,
+      tsym: order.tsym,
+      trantype: order.trantype,
+      ...entry,
+    }))
+    .reverse();
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+// ===> Net the trade book per tsym/prd into a position book
+function getPositions() {
+  ensureCurrentSession();
+  const positions = new Map();
+
+  for (const trade of virtualTrades) {
+    const key = `${trade.tsym}_${trade.prd}`;
+    if (!positions.has(key)) {
+      positions.set(key, {
+        exch: trade.exch,
+        tsym: trade.tsym,
+        prd: trade.prd,
+        netqty: 0,
+        netavgprc: 0,
+        daybuyqty: 0,
+        daysellqty: 0,
+        daybuyamt: 0,
+        daysellamt: 0,
+        rpnl: 0,
+        charges: 0,
+      });
+    }
+    const position = positions.get(key);
+    const signedQty = trade.trantype === "B" ? trade.flqty : -trade.flqty;
+
+    if (trade.trantype === "B") {
+      position.daybuyqty += trade.flqty;
+      position.daybuyamt += trade.flqty * trade.flprc;
+    } else {
+      position.daysellqty += trade.flqty;
+      position.daysellamt += trade.flqty * trade.flprc;
+    }
+    position.charges += trade.charges;
+
+    if (position.netqty === 0 || Math.sign(position.netqty) === Math.sign(signedQty)) {
+      // Adding to the position: average the entry price
+      const totalQty = position.netqty + signedQty;
+      position.netavgprc =
+        (position.netavgprc * Math.abs(position.netqty) +
+          trade.flprc * trade.flqty) /
+        Math.abs(totalQty);
+      position.netqty = totalQty;
+    } else {
+      // Reducing (or flipping) the position: book P&L on the closed quantity
+      const closedQty = Math.min(Math.abs(position.netqty), trade.flqty);
+      position.rpnl +=
+        (trade.flprc - position.netavgprc) * closedQty * Math.sign(position.netqty);
+      position.netqty += signedQty;
+      if (position.netqty === 0) {
+        position.netavgprc = 0;
+      } else if (Math.sign(position.netqty) === Math.sign(signedQty)) {
+        position.netavgprc = trade.flprc;
+      }
+    }
+  }
+
+  return Array.from(positions.values()).map((position) => {
+    const lp = lastPrices.get(position.tsym);
+    const urmtom =
+      position.netqty !== 0 && lp !== undefined
+        ? (lp - position.netavgprc) * position.netqty
+        : 0;
+
+    return {
+      ...position,
+      netavgprc: round(position.netavgprc),
+      daybuyavgprc: position.daybuyqty
+        ? round(position.daybuyamt / position.daybuyqty)
+        : 0,
+      daysellavgprc: position.daysellqty
+        ? round(position.daysellamt / position.daysellqty)
+        : 0,
+      daybuyamt: round(position.daybuyamt),
+      daysellamt: round(position.daysellamt),
+      rpnl: round(position.rpnl),
+      charges: round(position.charges),
+      lp: lp ?? null,
+      urmtom: round(urmtom),
+    };
+  });
+}
+
+// ===> Funds in the shape of the Noren Limits response
+function getFunds() {
+  const positions = getPositions();
+  const premium = virtualTrades.reduce(
+    (total, trade) =>
+      total + (trade.trantype === "B" ? 1 : -1) * trade.flqty * trade.flprc,
+    0
+  );
+  const brokerage = virtualTrades.reduce(
+    (total, trade) => total + trade.charges,
+    0
+  );
+  const rpnl = positions.reduce((total, position) => total + position.rpnl, 0);
+  const urmtom = positions.reduce(
+    (total, position) => total + position.urmtom,
+    0
+  );
+  const cash = config.virtual.startingCapital;
+
+  return {
+    stat: "Ok",
+    cash: round(cash),
+    payin: 0,
+    payout: 0,
+    premium: round(premium),
+    brokerage: round(brokerage),
+    marginused: round(Math.max(premium, 0) + brokerage),
+    rpnl: round(rpnl),
+    urmtom: round(urmtom),
+    availableBalance: round(cash - premium - brokerage),
+    request_time: new Date().toISOString(),
+  };
+}
+
+// ===> Plug in any EventEmitter that emits "tick" events; returns a detach function
+function attachTickSource(source) {
+  source.on("tick", processTick);
+  return () => source.off("tick", processTick);
+}
+
+restoreSession();
+
+module.exports = {
+  getOrders,
+  getTrades,
+  getLastPrice,
+  getPositions,
+  getFunds,
+  placeOrder,
+  modifyOrder,
+  cancelOrder,
+  getOrderHistory,
+  processTick,
+  attachTickSource,
+  resetSession,
+  getSessionInfo,
+  orderEvents,
+};
@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+const { dataPath, readJson, writeJson } = require("./jsonStore");
+
+const sessionFile = "virtual-session.json";
+
+const SAVE_DELAY_MS = 500;
+let saveTimer = null;
+let pendingState = null;
+
+// ===> Load the persisted virtual session, or null if there is none
+function loadSession() {
+  return readJson(sessionFile);
+}
+
+// ===> Save the session, coalescing bursts of changes (e.g. tick replays) into one write
+function saveSession(state) {
+  pendingState = state;
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      writeJson(sessionFile, pendingState);
+    } catch (error) {
+      console.error("Error saving virtual session file:", error);
+    }
+  }, SAVE_DELAY_MS);
+}
+
+// ===> Write a session still waiting on the save delay right away. Synchronous,
+// so it can run while the process is exiting.
+function flushSession() {
+  if (!saveTimer) return;
+
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    writeJson(sessionFile, pendingState);
+  } catch (error) {
+    console.error("Error saving virtual session file:", error);
+  }
+}
+
+// ===> Copy a session into the archive folder, named after its trading day
+function archiveSession(state) {
+  let archiveName = `archive/virtual-session-${state.sessionDate}.json`;
+  // A session reset more than once a day gets a numbered archive
+  for (let index = 1; fs.existsSync(dataPath(archiveName)); index++) {
+    archiveName = `archive/virtual-session-${state.sessionDate}-${index}.json`;
+  }
+
+  writeJson(archiveName, state);
+  console.log(`\nVirtual session archived to ${path.basename(archiveName)}`);
+  return path.basename(archiveName);
+}
+
+module.exports = { loadSession, saveSession, flushSession, archiveSession };
@@ -1,15 +1,43 @@
+require("dotenv").config();
+
+const http = require("http");
 const express = require("express");
+const { Server } = require("socket.io");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 const config = require("./config");
-const net = require("net");
 
 const flattradeRoutes = require("./routes/flattrade");
 const shoonyaRoutes = require("./routes/shoonya");
 const virtualRoutes = require("./routes/virtual");
+const apiRoutes = require("./routes/api");
+const stopLossRoutes = require("./routes/stopLoss");
+const sessionRoutes = require("./routes/sessions");
+const instrumentRoutes = require("./routes/instruments");
+const adminRoutes = require("./routes/admin");
+const optionChainRoutes = require("./routes/optionChain");
+const greeksRoutes = require("./routes/greeks");
+const portfolioRoutes = require("./routes/portfolio");
+const instrumentChanges = require("./routes/instrumentChanges");
+const sessionStore = require("./routes/sessionStore");
+const authRoutes = require("./routes/auth");
+const userStore = require("./routes/userStore");
+const priceFeed = require("./routes/priceFeed");
+const virtualEngine = require("./routes/virtualEngine");
+const virtualStore = require("./routes/virtualStore");
+const stopLossEngine = require("./routes/stopLossEngine");
 const fileUpdates = require('./routes/fileUpdates');
+const marketDataHub = require("./routes/marketDataHub");
+const orderUpdates = require("./routes/orderUpdates");
+
+// Brokers whose scrip masters are downloaded and indexed
+const SCRIP_BROKERS = ["flattrade", "shoonya"];
 
 const app = express();
+const server = http.createServer(app);
+const io = new Server(server, {
+  cors: { origin: config.corsOrigin, methods: ["GET", "POST"] },
+});
 
 app.use(cors(config.corsHeaders));
 
@@ -17,77 +45,84 @@ app.use(express.json());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-require("dotenv").config();
-
-let storedCredentials = {
-  flattrade: { usersession: "", userid: "" },
-  shoonya: { usersession: "", userid: "" },
-};
-
-let selectedBroker = "";
-const pythonServerPort = 5000; // Choose an available port
+// Broker tokens live in per-user sessions, picked by the X-Session-Id header
+app.use(sessionStore.sessionMiddleware);
+// Every route below needs an API key or a logged in user, see routes/userStore.js
+app.use(userStore.authenticate);
 
 app.set("case sensitive routing", false);
-app.use("/flattrade", flattradeRoutes(storedCredentials));
-app.use("/shoonya", shoonyaRoutes(storedCredentials));
+app.use("/auth", authRoutes(userStore, sessionStore));
+app.use("/session", sessionRoutes(sessionStore));
+app.use("/flattrade", flattradeRoutes(sessionStore));
+app.use("/shoonya", shoonyaRoutes(sessionStore));
 app.use("/virtual", virtualRoutes());
+app.use("/api", apiRoutes(sessionStore));
+app.use("/rules", stopLossRoutes(sessionStore));
+app.use("/instruments", instrumentRoutes());
+app.use("/optionchain", optionChainRoutes());
+app.use("/greeks", greeksRoutes());
+app.use("/portfolio", portfolioRoutes(sessionStore));
+app.use("/admin", adminRoutes(fileUpdates, SCRIP_BROKERS));
+
+// Virtual fills and stop-loss rules both run off the shared price feed
+virtualEngine.attachTickSource(priceFeed);
+stopLossEngine.start({
+  feed: priceFeed,
+  // Rules run without a request, so use the newest session for the account
+  getAuth: (broker, clientId) => {
+    const credentials = sessionStore.findBrokerCredentials(broker, clientId);
+    return {
+      jKey: credentials?.usersession,
+      clientId: credentials?.userid || clientId,
+    };
+  },
+});
 
 app.get("/", (req, res) => res.send("Welcome to the Steadfast API"));
 
-const BROKER_PORTS = {
-  flattrade: 8765,
-  shoonya: 8766,
-};
-
-function sendToPythonServer(message) {
-  return new Promise((resolve, reject) => {
-    const client = new net.Socket();
-    client.connect(pythonServerPort, "localhost", () => {
-      client.write(JSON.stringify(message));
-    });
-
-    client.on("data", (data) => {
-      console.log("Received:", data.toString());
-      client.destroy();
-      resolve(data.toString());
-    });
+// Browser clients subscribe to market data and order updates over socket.io
+io.use(userStore.authenticateSocket);
+marketDataHub.attach(io);
+orderUpdates.attach(io);
+virtualEngine.orderEvents.on("order", (order) =>
+  orderUpdates.publish("virtual", order)
+);
 
-    client.on("close", () => {
-      console.log("Connection closed");
-    });
+// ===> Point the market data hub at a broker's websocket (or "mock")
+app.post("/set-broker", (req, res) => {
+  const { broker } = req.body;
+  if (!["flattrade", "shoonya", "mock"].includes(broker)) {
+    return res.status(400).json({ message: "Invalid broker selection" });
+  }
 
-    client.on("error", (err) => {
-      console.error("Connection error:", err);
-      reject(err);
+  try {
+    const status = marketDataHub.connect(
+      broker,
+      sessionStore.getBrokerCredentials(req.userSession, broker) || {}
+    );
+    res.json({
+      message: `Selected broker set to ${broker}, market data on socket.io`,
+      ...status,
     });
-  });
-}
-
-app.post("/set-broker", async (req, res) => {
-  const { broker } = req.body;
-  if (broker && (broker === "flattrade" || broker === "shoonya")) {
-    selectedBroker = broker;
-
-    try {
-      // Send the broker selection to the Python server
-      await sendToPythonServer({
-        action: "set_broker",
-        broker: selectedBroker,
-      });
-
-      const port = BROKER_PORTS[broker];
-      res.json({
-        message: `Selected broker set to ${selectedBroker}, WebSocket running on port ${port}`,
-      });
-    } catch (error) {
-      console.error("Error sending broker selection:", error);
-      res.status(500).json({ message: "Error setting broker" });
-    }
-  } else {
-    res.status(400).json({ message: "Invalid broker selection" });
+  } catch (error) {
+    console.error("Error setting broker:", error);
+    res.status(400).json({ message: "Error setting broker", error: error.message });
   }
 });
 
+// ===> Market data status, with details of the caller's own accounts only
+app.get("/market-data/status", (req, res) => {
+  const accounts = ["flattrade", "shoonya"]
+    .map((broker) =>
+      marketDataHub.getAccountStatus(
+        broker,
+        sessionStore.getBrokerCredentials(req.userSession, broker)
+      )
+    )
+    .filter(Boolean);
+  res.json({ ...marketDataHub.getStatus(), accounts });
+});
+
 app.use((err, req, res, next) => {
   console.error("Error details:", err);
   console.error("Stack trace:", err.stack);
@@ -97,16 +132,28 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(config.port, config.host, () => {
+server.listen(config.port, config.host, () => {
   console.log(`Server is running on http://${config.host}:${config.port}`);
 });
 
-// Code To Download Updated Instrument files everyday after 7am IST(1:30am UTC). 
-(async () => {
-    // Flattrade
-    await fileUpdates.checkAndUpdateFiles('flattrade');
-    // Shoonya
-    await fileUpdates.checkAndUpdateFiles('shoonya');
-})();
+// Download updated instrument files now and every day after 7am IST (1:30am UTC).
+// New files rebuild the instrument index, report what changed and clear the
+// /symbols caches.
+fileUpdates.events.on("updated", ({ broker }) =>
+    instrumentChanges
+        .rebuild(broker)
+        .catch((error) => console.error(`Error rebuilding ${broker} instruments:`, error))
+);
+fileUpdates.start(SCRIP_BROKERS);
+
+// Virtual session saves are delayed to batch changes; write the pending one
+// before the process goes away
+process.on("beforeExit", virtualStore.flushSession);
+["SIGINT", "SIGTERM"].forEach((signal) =>
+  process.once(signal, () => {
+    virtualStore.flushSession();
+    process.kill(process.pid, signal);
+  })
+);
 
 module.exports = app;
@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+// Keep test state out of the real data folder
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "steadfast-test-"));
+
+// Keys have to be in the environment before config.js is loaded
+process.env.AUTH_ENABLED = "true";
+process.env.API_KEYS = "reader:read-key:read,trader:trade-key:trade";
+
+const express = require("express");
+const sessionStore = require("../routes/sessionStore");
+const userStore = require("../routes/userStore");
+
+describe("authenticate", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.set("case sensitive routing", false);
+    app.use(sessionStore.sessionMiddleware);
+    app.use(userStore.authenticate);
+    // Any request that gets past the role check lands here
+    app.all("*", (req, res) => res.json({ reached: true }));
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const call = (method, path, apiKey) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: apiKey ? { "X-API-Key": apiKey } : {},
+    });
+
+  it("rejects requests without credentials with 401", async () => {
+    for (const path of ["/api/virtual/orders", "/virtual/placeOrder", "/admin/scrip-status"]) {
+      const response = await call("GET", path);
+      assert.strictEqual(response.status, 401, path);
+    }
+  });
+
+  it("rejects an unknown API key with 401", async () => {
+    const response = await call("GET", "/api/virtual/orders", "wrong-key");
+    assert.strictEqual(response.status, 401);
+  });
+
+  it("lets public routes through without credentials", async () => {
+    assert.strictEqual((await call("GET", "/")).status, 200);
+    assert.strictEqual((await call("POST", "/auth/login")).status, 200);
+  });
+
+  it("lets a read key look at read routes", async () => {
+    const response = await call("GET", "/api/virtual/orders", "read-key");
+    assert.strictEqual(response.status, 200);
+  });
+
+  it("rejects a read key on trading routes in any letter case with 403", async () => {
+    const paths = [
+      "/virtual/placeOrder",
+      "/virtual/placeorder",
+      "/VIRTUAL/PLACEORDER",
+      "/api/virtual/ModifyOrder",
+      "/flattrade/EXITALL",
+      "/Set-Broker",
+    ];
+    for (const path of paths) {
+      const response = await call("POST", path, "read-key");
+      assert.strictEqual(response.status, 403, path);
+    }
+  });
+
+  it("rejects a read key changing stop-loss rules with 403", async () => {
+    assert.strictEqual((await call("POST", "/Rules", "read-key")).status, 403);
+    assert.strictEqual((await call("GET", "/rules", "read-key")).status, 200);
+  });
+
+  it("lets a trade key place orders", async () => {
+    const response = await call("POST", "/virtual/PlaceOrder", "trade-key");
+    assert.strictEqual(response.status, 200);
+  });
+
+  it("rejects a trade key on admin-only routes in any letter case with 403", async () => {
+    const requests = [
+      ["GET", "/auth/users"],
+      ["GET", "/Auth/Users"],
+      ["POST", "/AUTH/USERS"],
+      ["GET", "/admin/scrip-status"],
+      ["GET", "/Admin/Scrip-Status"],
+    ];
+    for (const [method, path] of requests) {
+      const response = await call(method, path, "trade-key");
+      assert.strictEqual(response.status, 403, `${method} ${path}`);
+    }
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const { placeBasket, validateBasket } = require("../routes/basketOrders");
+
+// Broker double: orders fill at once unless the symbol is listed in `working`,
+// and are refused when listed in `reject` or rejected in RMS when in `rmsReject`
+function fakeAdapter({ working = [], reject = [], rmsReject = [], freezeQty = null } = {}) {
+  const orders = [];
+  const adapter = {
+    orders,
+    cancelled: [],
+    getFreezeQty: async () => freezeQty,
+    getLotSize: async () => 75,
+    async placeOrder(auth, order) {
+      if (reject.includes(order.tsym)) return { stat: "Not_Ok", emsg: "Insufficient margin" };
+      const norenordno = `${orders.length + 1}`;
+      const qty = parseInt(order.qty);
+      let status = working.includes(order.tsym) ? "OPEN" : "COMPLETE";
+      if (rmsReject.includes(order.tsym)) status = "REJECTED";
+      orders.push({
+        ...order,
+        norenordno,
+        status,
+        fillshares: status === "COMPLETE" ? qty : 0,
+        rejreason: status === "REJECTED" ? "RMS: margin exceeds" : undefined,
+      });
+      return { stat: "Ok", norenordno };
+    },
+    getOrderBook: async () => orders.map((order) => ({ ...order })),
+    async cancelOrder(auth, { norenordno }) {
+      adapter.cancelled.push(norenordno);
+      return { stat: "Ok" };
+    },
+  };
+  return adapter;
+}
+
+const leg = (tsym, trantype, qty = 75) => ({
+  exch: "NFO",
+  tsym,
+  qty: qty.toString(),
+  prc: "0",
+  prd: "M",
+  trantype,
+  prctyp: "MKT",
+});
+
+describe("basketOrders", () => {
+  it("places buy legs before sell legs and reports them in request order", async () => {
+    const adapter = fakeAdapter();
+    const result = await placeBasket(adapter, {}, [
+      leg("NIFTY28NOV26C24000", "S"),
+      leg("NIFTY28NOV26C24500", "B"),
+    ]);
+
+    assert.strictEqual(result.stat, "Ok");
+    assert.deepStrictEqual(
+      adapter.orders.map((order) => order.tsym),
+      ["NIFTY28NOV26C24500", "NIFTY28NOV26C24000"]
+    );
+    assert.deepStrictEqual(result.legs.map((item) => item.leg), [0, 1]);
+  });
+
+  it("skips the legs after a rejection and leaves placed ones without rollback", async () => {
+    const adapter = fakeAdapter({ reject: ["NIFTY28NOV26C24000"] });
+    const result = await placeBasket(adapter, {}, [
+      leg("NIFTY28NOV26C24500", "B"),
+      leg("NIFTY28NOV26C24000", "S"),
+      leg("NIFTY28NOV26P23500", "S"),
+    ]);
+
+    assert.strictEqual(result.stat, "Not_Ok");
+    assert.deepStrictEqual(
+      result.legs.map((item) => item.status),
+      ["placed", "rejected", "skipped"]
+    );
+    assert.deepStrictEqual(result.rolledBack, []);
+    assert.strictEqual(adapter.orders.length, 1);
+  });
+
+  it("rolls back by cancelling working legs and exiting filled ones", async () => {
+    const adapter = fakeAdapter({
+      working: ["NIFTY28NOV26P23500"],
+      reject: ["NIFTY28NOV26C24000"],
+    });
+    const result = await placeBasket(
+      adapter,
+      {},
+      [
+        leg("NIFTY28NOV26C24500", "B"),
+        leg("NIFTY28NOV26P23500", "B"),
+        leg("NIFTY28NOV26C24000", "S"),
+      ],
+      { rollback: true }
+    );
+
+    assert.strictEqual(result.stat, "Not_Ok");
+    assert.deepStrictEqual(adapter.cancelled, ["2"]);
+    const exits = adapter.orders.slice(2);
+    assert.deepStrictEqual(
+      exits.map(({ tsym, trantype, qty, prctyp }) => [tsym, trantype, qty, prctyp]),
+      [["NIFTY28NOV26C24500", "S", "75", "MKT"]]
+    );
+    assert.deepStrictEqual(
+      result.rolledBack.map((item) => [item.leg, Boolean(item.cancel), Boolean(item.exit)]),
+      [
+        [0, false, true],
+        [1, true, false],
+      ]
+    );
+  });
+
+  it("rolls back when the order book shows an RMS rejection", async () => {
+    const adapter = fakeAdapter({ rmsReject: ["NIFTY28NOV26C24000"] });
+    const result = await placeBasket(
+      adapter,
+      {},
+      [leg("NIFTY28NOV26C24500", "B"), leg("NIFTY28NOV26C24000", "S")],
+      { rollback: true }
+    );
+
+    assert.strictEqual(result.stat, "Not_Ok");
+    assert.strictEqual(result.legs[1].rejreason, "RMS: margin exceeds");
+    assert.deepStrictEqual(result.rolledBack.map((item) => item.leg), [0]);
+    assert.strictEqual(adapter.orders[2].trantype, "S");
+  });
+
+  it("rolls back the placed children of a leg rejected part way", async () => {
+    const adapter = fakeAdapter({ freezeQty: 150 });
+    // The second child of the sell leg is refused
+    const placeOrder = adapter.placeOrder;
+    let sellChildren = 0;
+    adapter.placeOrder = async (auth, order) => {
+      if (order.trantype === "S" && order.prctyp === "LMT" && ++sellChildren === 2) {
+        return { stat: "Not_Ok", emsg: "Insufficient margin" };
+      }
+      return placeOrder(auth, order);
+    };
+
+    const result = await placeBasket(
+      adapter,
+      {},
+      [{ ...leg("NIFTY28NOV26C24000", "S", 300), prctyp: "LMT", prc: "10" }],
+      { rollback: true }
+    );
+
+    assert.strictEqual(result.legs[0].status, "rejected");
+    assert.deepStrictEqual(
+      result.rolledBack.map((item) => [item.norenordno, item.exit?.stat]),
+      [["1", "Ok"]]
+    );
+    assert.deepStrictEqual(
+      adapter.orders.slice(1).map(({ trantype, qty }) => [trantype, qty]),
+      [["B", "150"]]
+    );
+  });
+
+  it("validates legs", () => {
+    assert.match(validateBasket([]), /non-empty array/);
+    assert.match(validateBasket([leg("X", "B"), leg("Y", "X")]), /Leg 1 needs/);
+    assert.strictEqual(validateBasket([leg("X", "B")]), null);
+  });
+});
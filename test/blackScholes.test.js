@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const blackScholes = require("../routes/blackScholes");
+
+// Reference values from Hull, Options, Futures, and Other Derivatives
+const assertClose = (actual, expected, tolerance, label) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected}, got ${actual}`
+  );
+
+// Example 15.6: S 42, K 40, r 10%, volatility 20%, six months
+const hullPricing = { spot: 42, strike: 40, time: 0.5, rate: 0.1, volatility: 0.2 };
+
+// Example 19.1: S 49, K 50, r 5%, volatility 20%, 20 weeks
+const hullGreeks = { spot: 49, strike: 50, time: 20 / 52, rate: 0.05, volatility: 0.2 };
+
+describe("blackScholes", () => {
+  it("prices the Hull call at 4.76 and put at 0.81", () => {
+    assertClose(blackScholes.price({ ...hullPricing, optionType: "CE" }), 4.76, 0.005, "call");
+    assertClose(blackScholes.price({ ...hullPricing, optionType: "PE" }), 0.81, 0.005, "put");
+  });
+
+  it("satisfies put-call parity with a dividend yield", () => {
+    const inputs = { ...hullPricing, dividendYield: 0.03 };
+    const call = blackScholes.price({ ...inputs, optionType: "CE" });
+    const put = blackScholes.price({ ...inputs, optionType: "PE" });
+    const forwardValue =
+      inputs.spot * Math.exp(-inputs.dividendYield * inputs.time) -
+      inputs.strike * Math.exp(-inputs.rate * inputs.time);
+    assertClose(call - put, forwardValue, 1e-6, "parity");
+  });
+
+  it("returns the Hull greeks in trader units", () => {
+    const greeks = blackScholes.greeks({ ...hullGreeks, optionType: "CE" });
+    assertClose(greeks.delta, 0.522, 0.001, "delta");
+    assertClose(greeks.gamma, 0.066, 0.001, "gamma");
+    // Hull quotes theta per year, vega and rho per unit change
+    assertClose(greeks.theta * 365, -4.31, 0.01, "theta");
+    assertClose(greeks.vega * 100, 12.1, 0.01, "vega");
+    assertClose(greeks.rho * 100, 8.91, 0.01, "rho");
+  });
+
+  it("leaves only intrinsic value at expiry", () => {
+    const expired = { ...hullPricing, time: 0 };
+    assert.strictEqual(blackScholes.price({ ...expired, optionType: "CE" }), 2);
+    assert.strictEqual(blackScholes.price({ ...expired, optionType: "PE" }), 0);
+    assert.strictEqual(blackScholes.greeks({ ...expired, optionType: "CE" }).delta, 1);
+  });
+
+  it("round-trips implied volatility for calls and puts", () => {
+    for (const optionType of ["CE", "PE"]) {
+      for (const volatility of [0.05, 0.2, 0.8]) {
+        const premium = blackScholes.price({ ...hullPricing, optionType, volatility });
+        const implied = blackScholes.impliedVolatility({ ...hullPricing, optionType, premium });
+        assertClose(implied, volatility, 1e-4, `${optionType} at ${volatility}`);
+      }
+    }
+  });
+
+  it("finds no volatility for premiums outside the no-arbitrage bounds", () => {
+    // The Hull call is worth at least S - K e^(-rT) = 3.95
+    assert.strictEqual(
+      blackScholes.impliedVolatility({ ...hullPricing, optionType: "CE", premium: 3 }),
+      null
+    );
+    assert.strictEqual(
+      blackScholes.impliedVolatility({ ...hullPricing, optionType: "CE", premium: 42 }),
+      null
+    );
+    assert.strictEqual(
+      blackScholes.impliedVolatility({ ...hullPricing, optionType: "PE", premium: 0 }),
+      null
+    );
+  });
+
+  it("rejects option types other than CE and PE", () => {
+    assert.throws(() => blackScholes.price({ ...hullPricing, optionType: "FUT" }), /CE or PE/);
+  });
+});
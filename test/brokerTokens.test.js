@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+// Keep test state out of the real data folder
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "steadfast-test-"));
+
+process.env.AUTH_ENABLED = "false";
+
+const express = require("express");
+const sessionStore = require("../routes/sessionStore");
+const flattradeRoutes = require("../routes/flattrade");
+const apiRoutes = require("../routes/api");
+
+// Tokens in query strings end up in access logs, so the routes must not
+// accept them; these requests have nothing else to authenticate with
+describe("broker tokens in the query string", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(sessionStore.sessionMiddleware);
+    app.use("/flattrade", flattradeRoutes(sessionStore));
+    app.use("/api", apiRoutes(sessionStore));
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it("are ignored by the Flattrade routes", async () => {
+    const response = await fetch(
+      `${baseUrl}/flattrade/getOrdersAndTrades?FLATTRADE_API_TOKEN=secret&FLATTRADE_CLIENT_ID=FT1`
+    );
+    assert.strictEqual(response.status, 400);
+  });
+
+  it("are ignored by the /api routes", async () => {
+    const response = await fetch(`${baseUrl}/api/flattrade/funds?token=secret&clientId=FT1`);
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).message, /Token or Client ID is missing/);
+  });
+});
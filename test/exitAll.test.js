@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const { exitAll, buildFilter } = require("../routes/exitAll");
+
+describe("exitAll buildFilter", () => {
+  it("matches the whole underlying only", () => {
+    const matches = buildFilter({ underlying: "nifty" });
+    assert.ok(matches("NIFTY28NOV26C24000"));
+    assert.ok(matches("NIFTY28NOV26F"));
+    assert.ok(!matches("NIFTYNXT5028NOV26C70000"));
+    assert.ok(!matches("BANKNIFTY28NOV26P52000"));
+  });
+
+  it("matches stock derivatives and equity by their underlying", () => {
+    const matches = buildFilter({ underlying: "SBIN" });
+    assert.ok(matches("SBIN28NOV26C800"));
+    assert.ok(matches("SBIN-EQ"));
+    assert.ok(!matches("SBINX28NOV26C800"));
+  });
+
+  it("narrows by expiry in either date format", () => {
+    for (const expiry of ["28-NOV-2026", "28nov26"]) {
+      const matches = buildFilter({ underlying: "NIFTY", expiry });
+      assert.ok(matches("NIFTY28NOV26C24000"));
+      assert.ok(!matches("NIFTY05DEC26C24000"));
+    }
+  });
+
+  it("matches everything without a filter", () => {
+    assert.ok(buildFilter()("SBIN-EQ"));
+  });
+});
+
+describe("exitAll", () => {
+  it("cancels working orders and exits only the matching positions", async () => {
+    const cancelled = [];
+    const placed = [];
+    const adapter = {
+      getOrderBook: async () => [
+        { norenordno: "1", tsym: "NIFTY28NOV26C24000", status: "OPEN" },
+        { norenordno: "2", tsym: "NIFTY28NOV26C24100", status: "COMPLETE" },
+        { norenordno: "3", tsym: "NIFTYNXT5028NOV26C70000", status: "OPEN" },
+      ],
+      getPositions: async () => [
+        { symbol: "NIFTY28NOV26C24000", exchange: "NFO", product: "M", netQty: 75 },
+        { symbol: "NIFTY28NOV26P24000", exchange: "NFO", product: "M", netQty: -150 },
+        { symbol: "BANKNIFTY28NOV26C52000", exchange: "NFO", product: "M", netQty: 35 },
+      ],
+      cancelOrder: async (auth, { norenordno }) => {
+        cancelled.push(norenordno);
+        return { stat: "Ok" };
+      },
+      placeOrder: async (auth, order) => {
+        placed.push(order);
+        return { stat: "Ok", norenordno: `X${placed.length}` };
+      },
+    };
+
+    const result = await exitAll(adapter, {}, { underlying: "NIFTY" });
+
+    assert.strictEqual(result.stat, "Ok");
+    assert.deepStrictEqual(cancelled, ["1"]);
+    // Shorts are bought back before longs are sold
+    assert.deepStrictEqual(
+      placed.map(({ tsym, trantype, qty }) => [tsym, trantype, qty]),
+      [
+        ["NIFTY28NOV26P24000", "B", "150"],
+        ["NIFTY28NOV26C24000", "S", "75"],
+      ]
+    );
+  });
+});
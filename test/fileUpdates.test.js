@@ -0,0 +1,78 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+const config = require("../config");
+const { validateFile } = require("../routes/fileUpdates");
+
+const HEADER = "Exchange,Token,Lotsize,Symbol,Tradingsymbol,Expiry,Instrument,Optiontype,Strike,Ticksize";
+
+let folder;
+
+// A Flattrade style scrip master with `rows` option rows
+function writeMaster(fileName, rows, header = HEADER) {
+  const lines = Array.from(
+    { length: rows },
+    (_, index) =>
+      `NFO,${40001 + index},75,NIFTY,NIFTY28NOV26C${24000 + index * 50},28-NOV-2026,OPTIDX,CE,${24000 + index * 50},0.05`
+  );
+  const filePath = path.join(folder, fileName);
+  fs.writeFileSync(filePath, [header, ...lines].join("\n"));
+  return filePath;
+}
+
+describe("fileUpdates validateFile", () => {
+  before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "steadfast-scrip-"));
+  });
+
+  beforeEach(() => {
+    config.scripDownloads.minRows = 10;
+    config.scripDownloads.maxRowDropPercent = 50;
+  });
+
+  it("returns the row count of a good file", async () => {
+    const filePath = writeMaster("good.csv", 20);
+    assert.strictEqual(await validateFile("flattrade", filePath, "good.csv"), 20);
+  });
+
+  it("rejects files below the minimum row count", async () => {
+    const filePath = writeMaster("short.csv", 9);
+    await assert.rejects(
+      validateFile("flattrade", filePath, "short.csv"),
+      /Only 9 rows, expected at least 10/
+    );
+  });
+
+  it("rejects a drop of more than maxRowDropPercent from the previous file", async () => {
+    const filePath = writeMaster("dropped.csv", 14);
+    await assert.rejects(
+      validateFile("flattrade", filePath, "dropped.csv", 30),
+      /Only 14 rows against 30 in the previous file, more than a 50% drop/
+    );
+    // Exactly half is still accepted
+    assert.strictEqual(await validateFile("flattrade", filePath, "dropped.csv", 28), 14);
+  });
+
+  it("accepts growth and files without a previous count", async () => {
+    const filePath = writeMaster("grown.csv", 40);
+    assert.strictEqual(await validateFile("flattrade", filePath, "grown.csv", 20), 40);
+    assert.strictEqual(await validateFile("flattrade", filePath, "grown.csv", null), 40);
+  });
+
+  it("rejects files without the broker's key columns", async () => {
+    const filePath = writeMaster("columns.csv", 20, HEADER.replace("Token", "Id"));
+    await assert.rejects(
+      validateFile("flattrade", filePath, "columns.csv"),
+      /Missing columns: Token/
+    );
+  });
+
+  it("rejects a zip that is not a readable archive", async () => {
+    const filePath = path.join(folder, "NFO_symbols.txt.zip");
+    fs.writeFileSync(filePath, "not a zip archive");
+    await assert.rejects(validateFile("shoonya", filePath, "NFO_symbols.txt.zip"));
+  });
+});
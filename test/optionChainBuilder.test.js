@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const config = require("../config");
+const { strikeWindow } = require("../routes/optionChainBuilder");
+
+// Strikes 23000 to 25000, 100 apart
+const rows = Array.from({ length: 21 }, (_, index) => ({ strike: 23000 + index * 100 }));
+const strikesOf = (window) => window.rows.map((row) => row.strike);
+
+describe("optionChainBuilder strikeWindow", () => {
+  it("takes strikeCount strikes on each side of the one nearest the spot", () => {
+    const window = strikeWindow(rows, 24030, 2);
+    assert.strictEqual(rows[window.atmIndex].strike, 24000);
+    assert.deepStrictEqual(strikesOf(window), [23800, 23900, 24000, 24100, 24200]);
+  });
+
+  it("centers on the middle strike without a spot", () => {
+    const window = strikeWindow(rows, null, 1);
+    assert.deepStrictEqual(strikesOf(window), [23900, 24000, 24100]);
+  });
+
+  it("cuts the window at the ends of the ladder", () => {
+    assert.deepStrictEqual(strikesOf(strikeWindow(rows, 22000, 2)), [23000, 23100, 23200]);
+    assert.deepStrictEqual(strikesOf(strikeWindow(rows, 26000, 1)), [24900, 25000]);
+  });
+
+  it("keeps strikeCount between 1 and the configured maximum", () => {
+    assert.strictEqual(strikeWindow(rows, 24000, -5).count, 1);
+    assert.deepStrictEqual(strikesOf(strikeWindow(rows, 24000, "-5")), [23900, 24000, 24100]);
+    assert.strictEqual(
+      strikeWindow(rows, 24000, config.optionChain.maxStrikeCount + 1).count,
+      config.optionChain.maxStrikeCount
+    );
+    assert.strictEqual(strikeWindow(rows, 24000, "abc").count, config.optionChain.strikeCount);
+  });
+});
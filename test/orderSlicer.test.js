@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const { placeSlicedOrder, sliceQuantities } = require("../routes/orderSlicer");
+
+// Adapter that records orders and rejects the ones listed in `rejectAt`
+function fakeAdapter({ freezeQty = null, lotSize = 75, rejectAt = [] } = {}) {
+  const placed = [];
+  return {
+    placed,
+    getLotSize: async () => lotSize,
+    getFreezeQty: async () => freezeQty,
+    async placeOrder(auth, order) {
+      placed.push(order);
+      if (rejectAt.includes(placed.length)) return { stat: "Not_Ok", emsg: "rejected" };
+      return { stat: "Ok", norenordno: `ORD${placed.length}` };
+    },
+  };
+}
+
+const order = { exch: "NFO", tsym: "NIFTY28NOV26C24000", qty: "4000", trantype: "B" };
+
+describe("sliceQuantities", () => {
+  it("cuts whole-lot slices below the freeze quantity", () => {
+    assert.deepStrictEqual(sliceQuantities(4000, 1800, 75), [1800, 1800, 400]);
+    // 1801 is not a whole number of lots, so slices stop at 1800
+    assert.deepStrictEqual(sliceQuantities(3602, 1801, 75), [1800, 1800, 2]);
+  });
+
+  it("keeps at least one lot per slice", () => {
+    assert.deepStrictEqual(sliceQuantities(150, 50, 75), [75, 75]);
+  });
+});
+
+describe("placeSlicedOrder", () => {
+  it("prefers the broker freeze quantity over config", async () => {
+    const adapter = fakeAdapter({ freezeQty: 900 });
+    const result = await placeSlicedOrder(adapter, {}, { ...order, qty: "1800" });
+    assert.strictEqual(result.stat, "Ok");
+    assert.deepStrictEqual(adapter.placed.map((child) => child.qty), ["900", "900"]);
+  });
+
+  it("falls back to the configured freeze quantity", async () => {
+    const adapter = fakeAdapter();
+    adapter.getFreezeQty = async () => {
+      throw new Error("offline");
+    };
+    const result = await placeSlicedOrder(adapter, {}, order);
+    assert.strictEqual(result.parent.freezeQty, 1800);
+    assert.strictEqual(result.children.length, 3);
+  });
+
+  it("passes orders at the freeze quantity through unchanged", async () => {
+    const adapter = fakeAdapter({ freezeQty: 1800 });
+    const result = await placeSlicedOrder(adapter, {}, { ...order, qty: "1800" });
+    assert.deepStrictEqual(result, { stat: "Ok", norenordno: "ORD1" });
+  });
+
+  it("skips the remaining slices after a rejection", async () => {
+    const adapter = fakeAdapter({ freezeQty: 1800, rejectAt: [2] });
+    const result = await placeSlicedOrder(adapter, {}, order);
+    assert.strictEqual(result.stat, "Not_Ok");
+    assert.strictEqual(result.norenordno, "ORD1");
+    assert.deepStrictEqual(
+      result.children.map((child) => child.status),
+      ["placed", "rejected", "skipped"]
+    );
+    assert.strictEqual(adapter.placed.length, 2);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const config = require("../config");
+const { checkOrder, riskCheck } = require("../routes/riskChecks");
+
+const defaults = { ...config.risk };
+
+let adapterCount = 0;
+
+// Each test gets its own account so the daily lot counts do not carry over
+function fakeAdapter({ lotSize = null, positions = [] } = {}) {
+  const adapter = {
+    name: `fake${++adapterCount}`,
+    positionCalls: 0,
+    getLotSize: async () => lotSize,
+    async getPositions() {
+      adapter.positionCalls += 1;
+      return positions;
+    },
+  };
+  return adapter;
+}
+
+const order = (tsym, qty, extra = {}) => ({
+  exch: "NFO",
+  tsym,
+  qty: qty.toString(),
+  prc: "0",
+  prd: "M",
+  trantype: "B",
+  prctyp: "MKT",
+  ...extra,
+});
+
+// Runs the middleware and resolves with the rejection body, or null if it passed
+function runMiddleware(adapter, body) {
+  const middleware = riskCheck(() => adapter, () => ({ clientId: "C1" }));
+  return new Promise((resolve) => {
+    const res = {
+      status: () => res,
+      json: (payload) => resolve(payload),
+    };
+    middleware({ body }, res, () => resolve(null));
+  });
+}
+
+describe("riskChecks", () => {
+  beforeEach(() => {
+    Object.assign(config.risk, defaults, {
+      enabled: true,
+      maxLotsPerDay: 0,
+      maxOpenPositions: 0,
+      maxDailyLoss: 0,
+    });
+  });
+
+  it("caps the quantity at the freeze quantity times the slice limit", async () => {
+    const adapter = fakeAdapter();
+    assert.strictEqual(await checkOrder(adapter, {}, order("NIFTY28NOV26C24000", 18000)), null);
+    assert.match(
+      await checkOrder(adapter, {}, order("NIFTY28NOV26C24000", 18075)),
+      /exceeds the per order limit of 18000 for NIFTY/
+    );
+  });
+
+  it("prefers a configured per order cap", async () => {
+    config.risk.maxQtyPerOrder = { BANKNIFTY: 350 };
+    const reason = await checkOrder(fakeAdapter(), {}, order("BANKNIFTY28NOV26P52000", 385));
+    assert.match(reason, /limit of 350 for BANKNIFTY/);
+  });
+
+  it("rejects zero quantities", async () => {
+    const reason = await checkOrder(fakeAdapter(), {}, order("SBIN-EQ", 0, { exch: "NSE" }));
+    assert.match(reason, /greater than zero/);
+  });
+
+  it("counts lots with the scrip master lot size", async () => {
+    config.risk.maxLotsPerDay = 10;
+    // 1000 is 10 lots of the scrip master's 100, but 14 of config's 75
+    const adapter = fakeAdapter({ lotSize: 100 });
+    assert.strictEqual(await runMiddleware(adapter, order("NIFTY28NOV26C24000", 1000)), null);
+
+    const rejected = await runMiddleware(adapter, order("NIFTY28NOV26C24000", 100));
+    assert.match(rejected.emsg, /Daily limit of 10 lots reached \(10 used, order needs 1\)/);
+  });
+
+  it("falls back to the configured lot size", async () => {
+    config.risk.maxLotsPerDay = 1;
+    const rejected = await runMiddleware(fakeAdapter(), order("NIFTY28NOV26C24000", 150));
+    assert.match(rejected.emsg, /order needs 2/);
+  });
+
+  it("adds earlier basket legs to the daily lots", async () => {
+    config.risk.maxLotsPerDay = 3;
+    const rejected = await runMiddleware(fakeAdapter(), {
+      legs: [order("NIFTY28NOV26C24000", 150), order("NIFTY28NOV26P24000", 150)],
+    });
+    assert.match(rejected.emsg, /\(2 used, order needs 2\)/);
+  });
+
+  it("fetches positions once per basket", async () => {
+    config.risk.maxOpenPositions = 5;
+    const adapter = fakeAdapter();
+    const result = await runMiddleware(adapter, {
+      legs: [order("NIFTY28NOV26C24000", 75), order("NIFTY28NOV26P24000", 75)],
+    });
+    assert.strictEqual(result, null);
+    assert.strictEqual(adapter.positionCalls, 1);
+  });
+
+  it("lets orders that reduce a position past the open position limit", async () => {
+    config.risk.maxOpenPositions = 1;
+    const adapter = fakeAdapter({
+      positions: [{ symbol: "NIFTY28NOV26C24000", netQty: 75, realizedMtm: 0 }],
+    });
+    const exit = order("NIFTY28NOV26C24000", 75, { trantype: "S" });
+    assert.strictEqual(await runMiddleware(adapter, exit), null);
+
+    const rejected = await runMiddleware(adapter, order("NIFTY28NOV26P24000", 75));
+    assert.match(rejected.emsg, /Maximum of 1 open positions reached/);
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+// Keep test state out of the real data folder
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "steadfast-test-"));
+
+const priceFeed = require("../routes/priceFeed");
+const virtualEngine = require("../routes/virtualEngine");
+const stopLossEngine = require("../routes/stopLossEngine");
+
+let symbolCount = 0;
+const newSymbol = (name) => `${name}${Date.now()}${++symbolCount}`;
+
+const tick = (tsym, ltp) => priceFeed.publish({ tsym, ltp: ltp.toString() });
+
+// Opens a virtual position with a market order filled by the next tick
+function openPosition(tsym, trantype, qty, price) {
+  const result = virtualEngine.placeOrder({
+    exch: "NFO",
+    tsym,
+    qty: qty.toString(),
+    prc: "0",
+    prd: "M",
+    trantype,
+    prctyp: "MKT",
+    ret: "DAY",
+  });
+  assert.strictEqual(result.stat, "Ok");
+  tick(tsym, price);
+}
+
+// Exits run in the background once a rule fires
+async function settled(rule) {
+  for (let tries = 0; rule.status === "triggering" && tries < 100; tries++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return rule;
+}
+
+function netQty(tsym) {
+  return virtualEngine.getPositions().find((position) => position.tsym === tsym)?.netqty;
+}
+
+describe("stopLossEngine triggers", () => {
+  before(() => {
+    virtualEngine.attachTickSource(priceFeed);
+    stopLossEngine.start({ feed: priceFeed, getAuth: () => ({}) });
+  });
+
+  it("trails a long stop up from the best price", async () => {
+    const tsym = newSymbol("TESTLONG");
+    openPosition(tsym, "B", 75, 100);
+    const rule = await stopLossEngine.addRule({
+      broker: "virtual",
+      symbol: tsym,
+      stopLoss: 90,
+      trailingStop: 5,
+    });
+    assert.strictEqual(rule.side, "long");
+
+    tick(tsym, 104);
+    // The stop is now 99, above the fixed 90
+    tick(tsym, 99.5);
+    assert.strictEqual(rule.status, "active");
+
+    tick(tsym, 99);
+    assert.strictEqual(rule.triggerReason, "stopLoss");
+    await settled(rule);
+    assert.strictEqual(rule.status, "triggered");
+
+    // The exit is a market order, filled by the next tick
+    tick(tsym, 99);
+    assert.strictEqual(netQty(tsym), 0);
+  });
+
+  it("takes a short position's target when the price falls to it", async () => {
+    const tsym = newSymbol("TESTSHORT");
+    openPosition(tsym, "S", 50, 200);
+    const rule = await stopLossEngine.addRule({
+      broker: "virtual",
+      symbol: tsym,
+      stopLoss: 220,
+      target: 180,
+    });
+    assert.strictEqual(rule.side, "short");
+
+    tick(tsym, 181);
+    assert.strictEqual(rule.status, "active");
+
+    tick(tsym, 180);
+    assert.strictEqual(rule.triggerReason, "target");
+    await settled(rule);
+    tick(tsym, 180);
+    assert.strictEqual(netQty(tsym), 0);
+  });
+
+  it("stops a short position out when the price rises to the stop", async () => {
+    const tsym = newSymbol("TESTSHORTSL");
+    openPosition(tsym, "S", 50, 200);
+    const rule = await stopLossEngine.addRule({ broker: "virtual", symbol: tsym, stopLoss: 210 });
+
+    tick(tsym, 209.95);
+    assert.strictEqual(rule.status, "active");
+    tick(tsym, 210);
+    assert.strictEqual(rule.triggerReason, "stopLoss");
+    await settled(rule);
+  });
+
+  it("exits the filtered positions when the account loss reaches an MTM stop", async () => {
+    const tsym = newSymbol("TESTMTM");
+    openPosition(tsym, "B", 75, 100);
+    const rule = await stopLossEngine.addRule({
+      broker: "virtual",
+      type: "mtm",
+      stopLoss: 500,
+      underlying: tsym,
+    });
+
+    // 75 x -6 = -450, still inside the 500 loss
+    tick(tsym, 94);
+    assert.strictEqual(rule.status, "active");
+    assert.strictEqual(Math.round(rule.lastMtm), -450);
+
+    tick(tsym, 93);
+    assert.strictEqual(rule.triggerReason, "stopLoss");
+    await settled(rule);
+    assert.strictEqual(rule.status, "triggered");
+    tick(tsym, 93);
+    assert.strictEqual(netQty(tsym), 0);
+  });
+
+  it("requires at least one level", async () => {
+    await assert.rejects(
+      stopLossEngine.addRule({ broker: "virtual", symbol: "ANY" }),
+      /At least one of stopLoss, target or trailingStop/
+    );
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+// Keep test state out of the real data folder
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "steadfast-test-"));
+
+const virtualEngine = require("../routes/virtualEngine");
+
+function placeLimitBuy(tsym, qty, prc) {
+  const result = virtualEngine.placeOrder({
+    exch: "NFO",
+    tsym,
+    qty: qty.toString(),
+    prc: prc.toString(),
+    prd: "M",
+    trantype: "B",
+    prctyp: "LMT",
+    ret: "DAY",
+  });
+  assert.strictEqual(result.stat, "Ok");
+  return result.order.norenordno;
+}
+
+function findOrder(norenordno) {
+  return virtualEngine.getOrders().find((order) => order.norenordno === norenordno);
+}
+
+describe("virtualEngine.processTick", () => {
+  it("fills the whole order when the tick quantity is unreadable", () => {
+    const tsym = `TESTQTY${Date.now()}`;
+    const norenordno = placeLimitBuy(tsym, 75, 100);
+
+    virtualEngine.processTick({ tsym, ltp: "99", qty: "abc" });
+
+    const order = findOrder(norenordno);
+    assert.strictEqual(order.status, "COMPLETE");
+    assert.strictEqual(order.fillshares, 75);
+    assert.strictEqual(order.avgprc, 99);
+
+    const trade = virtualEngine.getTrades().find((item) => item.tsym === tsym);
+    assert.strictEqual(trade.flqty, 75);
+    assert.ok(Number.isFinite(trade.charges));
+
+    const position = virtualEngine.getPositions().find((item) => item.tsym === tsym);
+    assert.strictEqual(position.netqty, 75);
+    assert.strictEqual(position.netavgprc, 99);
+  });
+
+  it("fills only the traded quantity of a tick", () => {
+    const tsym = `TESTPART${Date.now()}`;
+    const norenordno = placeLimitBuy(tsym, 75, 100);
+
+    virtualEngine.processTick({ tsym, ltp: "99", qty: "25" });
+    assert.strictEqual(findOrder(norenordno).fillshares, 25);
+
+    // Zero or negative quantities are unreadable too
+    virtualEngine.processTick({ tsym, ltp: "99", qty: "-5" });
+    assert.strictEqual(findOrder(norenordno).fillshares, 75);
+  });
+
+  it("stamps ticks with an unreadable time with the current time", () => {
+    const tsym = `TESTTIME${Date.now()}`;
+    const norenordno = placeLimitBuy(tsym, 50, 100);
+
+    assert.doesNotThrow(() =>
+      virtualEngine.processTick({ tsym, ltp: "99", time: "not-a-date" })
+    );
+    assert.strictEqual(findOrder(norenordno).status, "COMPLETE");
+  });
+});